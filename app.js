@@ -1,18 +1,240 @@
 // Bilingual Pharmacy Club Website JavaScript
 
 document.addEventListener('DOMContentLoaded', function() {
+    // Named Intl option sets for elements marked up as <time data-date-format="...">
+    const DATE_FORMATS = {
+        day: { day: 'numeric' },
+        month: { month: 'short' },
+        long: { year: 'numeric', month: 'long', day: 'numeric' },
+        year: { year: 'numeric' },
+        time: { hour: 'numeric', minute: '2-digit' }
+    };
+
+    const DEFAULT_DATE_SETTINGS = {
+        calendar: 'gregory',   // 'gregory' or 'islamic-umalqura'
+        numerals: 'auto'       // 'auto' (per language), 'latn' or 'arab'
+    };
+
+    // Safe rich-text translations
+    // Elements marked data-rich render a small markup subset without ever touching innerHTML:
+    //   line break: a newline ("\n")        emphasis: *text*        strong: **text**
+    //   link: [label](href)                 icon: :name: (see RICH_TEXT_ICONS)
+    //   list: consecutive lines starting with "- "
+    // Link targets are part of each translation, so every language can point somewhere different.
+    const RICH_TEXT_ICONS = {
+        email: '📧',
+        phone: '📱',
+        location: '📍',
+        calendar: '📅',
+        pill: '💊',
+        palm: '🌴',
+        book: '📚',
+        star: '⭐'
+    };
+
+    const RICH_TEXT_INLINE = /\*\*([^*]+)\*\*|\*([^*]+)\*|\[([^\]]+)\]\(([^)\s]+)\)|:([a-z-]+):/g;
+
+    // Only same-page, relative, web, mail and phone links survive; anything else renders as plain text
+    function sanitizeHref(href) {
+        const value = String(href || '').trim();
+        if (/^(https?:|mailto:|tel:)/i.test(value)) return value;
+        if (/^[#/.?]/.test(value) || !/^[^/?#]*:/.test(value)) return value;
+        return null;
+    }
+
+    function renderRichInline(text, parent) {
+        let lastIndex = 0;
+        let match;
+        RICH_TEXT_INLINE.lastIndex = 0;
+
+        // Collect matches first because renderRichInline recurses with the same regex
+        const matches = [];
+        while ((match = RICH_TEXT_INLINE.exec(text)) !== null) {
+            matches.push({ index: match.index, groups: match.slice() });
+        }
+
+        matches.forEach(({ index, groups }) => {
+            const [source, strong, em, label, href, icon] = groups;
+            parent.appendChild(document.createTextNode(text.slice(lastIndex, index)));
+            lastIndex = index + source.length;
+
+            if (strong !== undefined) {
+                renderRichInline(strong, parent.appendChild(document.createElement('strong')));
+            } else if (em !== undefined) {
+                renderRichInline(em, parent.appendChild(document.createElement('em')));
+            } else if (label !== undefined) {
+                const safeHref = sanitizeHref(href);
+                if (!safeHref) {
+                    renderRichInline(label, parent);
+                    return;
+                }
+                const link = document.createElement('a');
+                link.setAttribute('href', safeHref);
+                if (/^https?:/i.test(safeHref)) {
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
+                }
+                renderRichInline(label, link);
+                parent.appendChild(link);
+            } else if (RICH_TEXT_ICONS[icon]) {
+                const iconElement = document.createElement('span');
+                iconElement.className = 'rich-icon';
+                iconElement.setAttribute('aria-hidden', 'true');
+                iconElement.textContent = RICH_TEXT_ICONS[icon];
+                parent.appendChild(iconElement);
+            } else {
+                // Unknown icon names are left exactly as written
+                parent.appendChild(document.createTextNode(source));
+            }
+        });
+
+        parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+
+    function renderRichText(text) {
+        const fragment = document.createDocumentFragment();
+        let list = null;
+
+        String(text).split('\n').forEach((line, index, lines) => {
+            const listItem = /^- (.*)$/.exec(line);
+            if (listItem) {
+                if (!list) {
+                    list = fragment.appendChild(document.createElement('ul'));
+                    list.className = 'rich-list';
+                }
+                renderRichInline(listItem[1], list.appendChild(document.createElement('li')));
+                return;
+            }
+
+            list = null;
+            renderRichInline(line, fragment);
+            if (index < lines.length - 1 && !/^- /.test(lines[index + 1])) {
+                fragment.appendChild(document.createElement('br'));
+            }
+        });
+
+        return fragment;
+    }
+
+    // Used when locales/locales.json cannot be loaded; the page then stays in its shipped English markup
+    const FALLBACK_LOCALE_REGISTRY = {
+        default: 'en',
+        locales: [{ code: 'en', name: 'English', dir: 'ltr', intl: 'en-US', numerals: 'latn' }]
+    };
+
+    // Attributes that can be translated with data-i18n-<attribute>="catalog.key"
+    const TRANSLATABLE_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt', 'href'];
+
     // Language Management System
+    // Locales are listed in locales/locales.json ({ code, name, dir, script, intl, numerals, fallback,
+    // manifest })
+    // and each has a keyed catalog in locales/<code>.json. Adding a language means adding a
+    // registry entry and a catalog file; missing keys fall back along the locale's chain.
+    // Run `node scripts/check-translations.js` to find missing or mismatched strings.
     class LanguageManager {
         constructor() {
-            this.currentLang = this.getStoredLanguage() || this.detectBrowserLanguage() || 'en';
-            this.isRTL = this.currentLang === 'ar';
-            this.init();
+            this.registry = FALLBACK_LOCALE_REGISTRY;
+            this.catalogs = {};
+            this.catalogRequests = {};
+            // Until the registry loads, trust what the markup was shipped in
+            this.currentLang = document.documentElement.getAttribute('lang') || 'en';
+            this.isRTL = document.documentElement.getAttribute('dir') === 'rtl';
+            this.dateSettings = Object.assign({}, DEFAULT_DATE_SETTINGS, this.getStoredDateSettings());
+            this.ready = this.init();
         }
 
         init() {
             this.setupLanguageToggle();
-            this.applyLanguage(this.currentLang);
-            this.updateLanguageButton();
+            this.setupDateSettings();
+
+            return this.loadRegistry()
+                .then(() => {
+                    // A shared ?lang= link wins over the visitor's own preference
+                    this.currentLang = this.resolveLanguage(this.getUrlLanguage()) ||
+                        this.resolveLanguage(this.getStoredLanguage()) ||
+                        this.detectBrowserLanguage() ||
+                        this.registry.default;
+                    this.isRTL = this.getLocale(this.currentLang).dir === 'rtl';
+                    return this.loadCatalogs(this.currentLang);
+                })
+                .then(() => {
+                    this.renderLanguageMenu();
+                    this.applyLanguage(this.currentLang);
+                    this.updateLanguageButton();
+
+                    // Components rendered before the catalogs arrived refresh themselves
+                    window.dispatchEvent(new CustomEvent('languageChanged', {
+                        detail: { language: this.currentLang, isRTL: this.isRTL, initial: true }
+                    }));
+                });
+        }
+
+        loadRegistry() {
+            return fetch('locales/locales.json')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load locale registry: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(registry => {
+                    if (registry && Array.isArray(registry.locales) && registry.locales.length > 0) {
+                        this.registry = registry;
+                    }
+                })
+                .catch(error => {
+                    console.warn(error);
+                });
+        }
+
+        loadCatalog(code) {
+            if (!this.catalogRequests[code]) {
+                this.catalogRequests[code] = fetch(`locales/${code}.json`)
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Failed to load ${code} translations: ${response.status}`);
+                        }
+                        return response.json();
+                    })
+                    .catch(error => {
+                        console.warn(error);
+                        return {};
+                    })
+                    .then(catalog => {
+                        this.catalogs[code] = catalog;
+                        return catalog;
+                    });
+            }
+            return this.catalogRequests[code];
+        }
+
+        loadCatalogs(lang) {
+            return Promise.all(this.getFallbackChain(lang).map(code => this.loadCatalog(code)));
+        }
+
+        getLocales() {
+            return this.registry.locales.slice();
+        }
+
+        getLocale(code) {
+            return this.registry.locales.find(locale => locale.code === code) ||
+                this.registry.locales.find(locale => locale.code === this.registry.default) ||
+                this.registry.locales[0];
+        }
+
+        resolveLanguage(code) {
+            return code && this.registry.locales.some(locale => locale.code === code) ? code : null;
+        }
+
+        // The language itself, then its declared fallbacks, then the registry default
+        getFallbackChain(lang = this.currentLang) {
+            const locale = this.getLocale(lang);
+            const chain = [lang].concat(locale && locale.fallback ? locale.fallback : [], this.registry.default);
+            return chain.filter((code, index) => code && chain.indexOf(code) === index);
+        }
+
+        getUrlLanguage() {
+            return new URLSearchParams(window.location.search).get('lang');
         }
 
         getStoredLanguage() {
@@ -33,116 +255,355 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         }
 
+        getStoredDateSettings() {
+            try {
+                return JSON.parse(localStorage.getItem('pharmacy-club-date-settings')) || {};
+            } catch (e) {
+                // localStorage might not be available in some environments
+                return {};
+            }
+        }
+
+        setStoredDateSettings(settings) {
+            try {
+                localStorage.setItem('pharmacy-club-date-settings', JSON.stringify(settings));
+            } catch (e) {
+                // localStorage might not be available in some environments
+                console.warn('Could not save date preferences');
+            }
+        }
+
+        // First browser language with a registered locale, matching "fr-CA" to "fr" if needed
         detectBrowserLanguage() {
-            const browserLang = navigator.language || navigator.userLanguage;
-            return browserLang.startsWith('ar') ? 'ar' : 'en';
+            const browserLangs = navigator.languages && navigator.languages.length
+                ? navigator.languages
+                : [navigator.language || navigator.userLanguage || ''];
+
+            for (const browserLang of browserLangs) {
+                const code = String(browserLang).toLowerCase();
+                const match = this.resolveLanguage(code) || this.resolveLanguage(code.split('-')[0]);
+                if (match) return match;
+            }
+            return null;
         }
 
         setupLanguageToggle() {
             const languageBtn = document.getElementById('language-btn');
-            if (languageBtn) {
-                languageBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
+            const languageMenu = document.getElementById('language-menu');
+            if (!languageBtn) return;
+
+            languageBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (languageMenu) {
+                    this.setLanguageMenuOpen(languageMenu.classList.contains('hidden'));
+                } else {
                     this.toggleLanguage();
+                }
+            });
+
+            if (!languageMenu) return;
+
+            languageBtn.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.setLanguageMenuOpen(true, e.key === 'ArrowUp' ? 'last' : 'current');
+                }
+            });
+
+            languageMenu.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-lang]');
+                if (!option) return;
+                e.stopPropagation();
+                this.setLanguageMenuOpen(false);
+                languageBtn.focus();
+                this.switchLanguage(option.dataset.lang);
+            });
+
+            languageMenu.addEventListener('keydown', (e) => {
+                const options = Array.from(languageMenu.querySelectorAll('[data-lang]'));
+                const index = options.indexOf(document.activeElement);
+                let target = null;
+
+                if (e.key === 'ArrowDown') target = options[(index + 1) % options.length];
+                if (e.key === 'ArrowUp') target = options[(index - 1 + options.length) % options.length];
+                if (e.key === 'Home') target = options[0];
+                if (e.key === 'End') target = options[options.length - 1];
+
+                if (target) {
+                    e.preventDefault();
+                    target.focus();
+                } else if (e.key === 'Escape' || e.key === 'Tab') {
+                    if (e.key === 'Escape') {
+                        e.preventDefault();
+                        languageBtn.focus();
+                    }
+                    this.setLanguageMenuOpen(false);
+                }
+            });
+
+            // Close the menu on any click outside it
+            document.addEventListener('click', (e) => {
+                if (!languageMenu.classList.contains('hidden') && !languageMenu.contains(e.target)) {
+                    this.setLanguageMenuOpen(false);
+                }
+            });
+        }
+
+        renderLanguageMenu() {
+            const languageMenu = document.getElementById('language-menu');
+            if (!languageMenu) return;
+
+            languageMenu.innerHTML = '';
+            this.registry.locales.forEach(locale => {
+                const item = document.createElement('li');
+                item.setAttribute('role', 'none');
+
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'language-option';
+                option.setAttribute('role', 'menuitemradio');
+                option.setAttribute('lang', locale.code);
+                option.setAttribute('dir', locale.dir || 'ltr');
+                option.tabIndex = -1;
+                option.dataset.lang = locale.code;
+                option.textContent = locale.name;
+
+                item.appendChild(option);
+                languageMenu.appendChild(item);
+            });
+            this.updateLanguageMenu();
+        }
+
+        updateLanguageMenu() {
+            document.querySelectorAll('#language-menu [data-lang]').forEach(option => {
+                option.setAttribute('aria-checked', option.dataset.lang === this.currentLang ? 'true' : 'false');
+            });
+        }
+
+        setLanguageMenuOpen(isOpen, focusTarget = 'current') {
+            const languageBtn = document.getElementById('language-btn');
+            const languageMenu = document.getElementById('language-menu');
+            if (!languageBtn || !languageMenu) return;
+
+            languageMenu.classList.toggle('hidden', !isOpen);
+            languageBtn.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+
+            if (isOpen) {
+                const options = Array.from(languageMenu.querySelectorAll('[data-lang]'));
+                const current = options.find(option => option.dataset.lang === this.currentLang);
+                const target = focusTarget === 'last' ? options[options.length - 1] : current || options[0];
+                if (target) target.focus();
+            }
+        }
+
+        setupDateSettings() {
+            const calendarSelect = document.getElementById('calendar-setting');
+            const numeralsSelect = document.getElementById('numerals-setting');
+
+            if (calendarSelect) {
+                calendarSelect.value = this.dateSettings.calendar;
+                calendarSelect.addEventListener('change', () => {
+                    this.setDateSettings({ calendar: calendarSelect.value });
+                });
+            }
+
+            if (numeralsSelect) {
+                numeralsSelect.value = this.dateSettings.numerals;
+                numeralsSelect.addEventListener('change', () => {
+                    this.setDateSettings({ numerals: numeralsSelect.value });
                 });
             }
         }
 
+        setDateSettings(settings) {
+            this.dateSettings = Object.assign({}, this.dateSettings, settings);
+            this.setStoredDateSettings(this.dateSettings);
+            this.updateDateElements();
+
+            window.dispatchEvent(new CustomEvent('dateSettingsChanged', {
+                detail: Object.assign({}, this.dateSettings)
+            }));
+        }
+
+        getDateSettings() {
+            return Object.assign({}, this.dateSettings);
+        }
+
+        // Cycle through the registered locales (the Ctrl/Cmd + L shortcut)
         toggleLanguage() {
-            const newLang = this.currentLang === 'en' ? 'ar' : 'en';
+            const codes = this.registry.locales.map(locale => locale.code);
+            const newLang = codes[(codes.indexOf(this.currentLang) + 1) % codes.length];
             console.log(`Switching from ${this.currentLang} to ${newLang}`);
-            this.switchLanguage(newLang);
+            return this.switchLanguage(newLang);
         }
 
         switchLanguage(lang) {
-            if (lang === this.currentLang) return;
+            if (lang === this.currentLang || !this.resolveLanguage(lang)) return Promise.resolve();
 
             // Add switching animation class
             document.body.classList.add('lang-switching');
-            
-            setTimeout(() => {
-                this.currentLang = lang;
-                this.isRTL = lang === 'ar';
-                this.applyLanguage(lang);
-                this.updateLanguageButton();
-                this.setStoredLanguage(lang);
-                
-                // Remove switching animation class
+
+            return this.loadCatalogs(lang).then(() => {
                 setTimeout(() => {
-                    document.body.classList.remove('lang-switching');
-                }, 100);
-                
-                // Update gallery data for new language
-                updateGalleryData();
-                
-                // Trigger custom event for other components
-                window.dispatchEvent(new CustomEvent('languageChanged', {
-                    detail: { language: lang, isRTL: this.isRTL }
-                }));
-                
-                console.log(`Language switched to: ${lang}`);
-            }, 150);
+                    this.currentLang = lang;
+                    this.isRTL = this.getLocale(lang).dir === 'rtl';
+                    this.applyLanguage(lang);
+                    this.updateLanguageButton();
+                    this.setStoredLanguage(lang);
+
+                    // Remove switching animation class
+                    setTimeout(() => {
+                        document.body.classList.remove('lang-switching');
+                    }, 100);
+
+                    // Update gallery data for new language
+                    updateGalleryData();
+
+                    // Trigger custom event for other components
+                    window.dispatchEvent(new CustomEvent('languageChanged', {
+                        detail: { language: lang, isRTL: this.isRTL }
+                    }));
+
+                    console.log(`Language switched to: ${lang}`);
+                }, 150);
+            });
         }
 
         applyLanguage(lang) {
             const html = document.documentElement;
-            
+
             // Update HTML attributes
             html.setAttribute('lang', lang);
-            html.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
-            
+            html.setAttribute('dir', this.getLocale(lang).dir || 'ltr');
+
             // Update document title
-            document.title = lang === 'ar' ? 'نادي الصيدلة - الكلية' : 'Pharmacy Club - College';
-            
-            // Update all elements with data attributes
+            document.title = this.t('site.title', {}, lang);
+
+            // Update all catalog-keyed and inline-translated elements and attributes
             this.updateElementsWithDataAttributes(lang);
-            
-            // Update select options
-            this.updateSelectOptions(lang);
+
+            // Re-format machine dates for the new language
+            this.updateDateElements(lang);
+        }
+
+        // Catalog string for a dotted key, walking the fallback chain; null if no locale has it
+        lookup(key, lang = this.currentLang) {
+            for (const code of this.getFallbackChain(lang)) {
+                const value = key.split('.').reduce((node, part) => node && typeof node === 'object' ? node[part] : undefined, this.catalogs[code]);
+                if (typeof value === 'string' && value !== '') return value;
+            }
+            return null;
+        }
+
+        // Translate a catalog key, filling {name} placeholders; numbers use the locale's digits
+        t(key, params = {}, lang = this.currentLang) {
+            const template = this.lookup(key, lang);
+            if (template === null) return key;
+            return template.replace(/\{(\w+)\}/g, (match, name) => {
+                if (!(name in params)) return match;
+                return typeof params[name] === 'number' ? this.formatNumber(params[name], lang) : params[name];
+            });
+        }
+
+        // Pick from a content object such as { en: '...', ar: '...' } along the fallback chain
+        localize(field, lang = this.currentLang) {
+            if (!field) return '';
+            if (typeof field === 'string') return field;
+            const code = this.getFallbackChain(lang).find(candidate => field[candidate]);
+            return code ? field[code] : '';
+        }
+
+        // Read a per-language attribute such as data-caption-<code> along the fallback chain
+        getLocalizedAttribute(element, prefix, lang = this.currentLang) {
+            for (const code of this.getFallbackChain(lang)) {
+                const value = element.getAttribute(`${prefix}${code}`);
+                if (value) return value;
+            }
+            return null;
+        }
+
+        setElementText(element, text) {
+            // Handle different element types
+            if (element.tagName === 'INPUT' && element.type !== 'submit') {
+                element.placeholder = text;
+            } else if (element.hasAttribute('data-rich')) {
+                // Opt-in rich text is built node by node; translations are never parsed as HTML
+                element.replaceChildren(renderRichText(text));
+            } else {
+                element.textContent = text;
+            }
         }
 
         updateElementsWithDataAttributes(lang) {
-            const elements = document.querySelectorAll('[data-en][data-ar]');
-            
-            elements.forEach(element => {
-                const text = element.getAttribute(`data-${lang}`);
+            // Static page text keyed into the catalogs
+            document.querySelectorAll('[data-i18n]').forEach(element => {
+                const text = this.lookup(element.dataset.i18n, lang);
+                if (text !== null) {
+                    this.setElementText(element, text);
+                }
+            });
+
+            // Content that carries its own translations as data-<code> (events, gallery captions)
+            document.querySelectorAll(`[data-${this.registry.default}]`).forEach(element => {
+                const text = this.getLocalizedAttribute(element, 'data-', lang);
                 if (text) {
-                    // Handle different element types
-                    if (element.tagName === 'INPUT' && element.type !== 'submit') {
-                        element.placeholder = text;
-                    } else if (element.tagName === 'OPTION') {
-                        element.textContent = text;
-                    } else {
-                        // For regular elements, preserve HTML structure for <br> tags
-                        if (text.includes('<br>')) {
-                            element.innerHTML = text;
-                        } else {
-                            element.textContent = text;
-                        }
-                    }
+                    this.setElementText(element, text);
                 }
             });
-        }
 
-        updateSelectOptions(lang) {
-            const selects = document.querySelectorAll('select');
-            selects.forEach(select => {
-                const options = select.querySelectorAll('option[data-en][data-ar]');
-                options.forEach(option => {
-                    const text = option.getAttribute(`data-${lang}`);
-                    if (text) {
-                        option.textContent = text;
+            TRANSLATABLE_ATTRIBUTES.forEach(attribute => {
+                document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                    const text = this.lookup(element.getAttribute(`data-i18n-${attribute}`), lang);
+                    const value = attribute === 'href' && text !== null ? sanitizeHref(text) : text;
+                    if (value !== null) {
+                        element.setAttribute(attribute, value);
                     }
                 });
             });
         }
 
+        // Date-only ISO strings are treated as local calendar days, not UTC midnight
+        parseDate(value) {
+            if (value instanceof Date) return value;
+            const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+            if (dateOnly) {
+                return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+            }
+            return new Date(value);
+        }
+
+        getDateLocale(lang = this.currentLang) {
+            const { calendar, numerals } = this.dateSettings;
+            const locale = this.getLocale(lang);
+            const numberingSystem = numerals === 'auto' ? (locale.numerals || 'latn') : numerals;
+            const baseLocale = locale.intl || locale.code;
+            return `${baseLocale}-u-ca-${calendar}-nu-${numberingSystem}`;
+        }
+
+        formatDate(value, format = 'long', lang = this.currentLang) {
+            const date = this.parseDate(value);
+            if (isNaN(date.getTime())) return '';
+            const options = typeof format === 'string' ? DATE_FORMATS[format] || DATE_FORMATS.long : format;
+            return new Intl.DateTimeFormat(this.getDateLocale(lang), options).format(date);
+        }
+
+        formatNumber(value, lang = this.currentLang) {
+            return new Intl.NumberFormat(this.getDateLocale(lang)).format(value);
+        }
+
+        updateDateElements(lang = this.currentLang) {
+            document.querySelectorAll('time[datetime][data-date-format]').forEach(element => {
+                element.textContent = this.formatDate(element.getAttribute('datetime'), element.dataset.dateFormat, lang);
+            });
+        }
+
         updateLanguageButton() {
             const langText = document.getElementById('lang-text');
             if (langText) {
-                langText.textContent = this.currentLang === 'en' ? 'العربية' : 'English';
+                langText.textContent = this.getLocale(this.currentLang).name;
             }
+            this.updateLanguageMenu();
         }
 
         getCurrentLanguage() {
@@ -157,6 +618,133 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize Language Manager
     const languageManager = new LanguageManager();
 
+    // Create an element whose text follows LanguageManager via data-<code> attributes
+    function createTranslatedElement(tagName, className, translations) {
+        const element = document.createElement(tagName);
+        if (className) {
+            element.className = className;
+        }
+        Object.keys(translations).forEach(lang => {
+            element.setAttribute(`data-${lang}`, translations[lang]);
+        });
+        element.textContent = languageManager.localize(translations);
+        return element;
+    }
+
+    // Create an element whose text follows LanguageManager via a catalog key
+    function createCatalogElement(tagName, className, key) {
+        const element = document.createElement(tagName);
+        if (className) {
+            element.className = className;
+        }
+        element.dataset.i18n = key;
+        element.textContent = languageManager.t(key);
+        return element;
+    }
+
+    // Colour Theme Management
+    // 'system' leaves the stylesheet's prefers-color-scheme tokens in charge; 'light' and 'dark'
+    // set data-color-scheme on <html>. The inline script in index.html applies the saved choice
+    // before first paint, so this class only has to keep the switcher and storage in sync.
+    const THEMES = ['system', 'light', 'dark'];
+    const THEME_ICONS = { system: '🖥️', light: '☀️', dark: '🌙' };
+
+    class ThemeManager {
+        constructor() {
+            this.theme = this.getStoredTheme() || 'system';
+            this.init();
+        }
+
+        init() {
+            const themeBtn = document.getElementById('theme-btn');
+            if (themeBtn) {
+                themeBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.cycleTheme();
+                });
+            }
+            this.applyTheme(this.theme);
+        }
+
+        getStoredTheme() {
+            try {
+                const theme = localStorage.getItem('pharmacy-club-theme');
+                return THEMES.includes(theme) ? theme : null;
+            } catch (e) {
+                // localStorage might not be available in some environments
+                return null;
+            }
+        }
+
+        setStoredTheme(theme) {
+            try {
+                localStorage.setItem('pharmacy-club-theme', theme);
+            } catch (e) {
+                // localStorage might not be available in some environments
+                console.warn('Could not save theme preference');
+            }
+        }
+
+        applyTheme(theme) {
+            const html = document.documentElement;
+            if (theme === 'system') {
+                html.removeAttribute('data-color-scheme');
+            } else {
+                html.setAttribute('data-color-scheme', theme);
+            }
+            this.updateThemeButton();
+        }
+
+        setTheme(theme) {
+            if (!THEMES.includes(theme)) return;
+            this.theme = theme;
+            this.setStoredTheme(theme);
+            this.applyTheme(theme);
+
+            window.dispatchEvent(new CustomEvent('themeChanged', {
+                detail: { theme: theme, colorScheme: this.getColorScheme() }
+            }));
+        }
+
+        // system -> light -> dark -> system
+        cycleTheme() {
+            this.setTheme(THEMES[(THEMES.indexOf(this.theme) + 1) % THEMES.length]);
+        }
+
+        getTheme() {
+            return this.theme;
+        }
+
+        // The scheme actually on screen, resolving 'system' through the media query
+        getColorScheme() {
+            if (this.theme !== 'system') return this.theme;
+            return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        }
+
+        updateThemeButton() {
+            const themeBtn = document.getElementById('theme-btn');
+            if (!themeBtn) return;
+
+            const icon = themeBtn.querySelector('.theme-icon');
+            if (icon) {
+                icon.textContent = THEME_ICONS[this.theme];
+            }
+
+            // Keyed labels so LanguageManager re-translates them on language change
+            const key = `theme.${this.theme}`;
+            themeBtn.setAttribute('data-i18n-aria-label', key);
+            themeBtn.setAttribute('data-i18n-title', key);
+            const label = languageManager.t(key);
+            if (label !== key) {
+                themeBtn.setAttribute('aria-label', label);
+                themeBtn.setAttribute('title', label);
+            }
+        }
+    }
+
+    // Initialize Theme Manager
+    const themeManager = new ThemeManager();
+
     // Mobile Navigation Toggle
     const hamburger = document.getElementById('hamburger');
     const navMenu = document.getElementById('nav-menu');
@@ -184,76 +772,349 @@ document.addEventListener('DOMContentLoaded', function() {
             const heroSection = document.getElementById('hero');
             if (heroSection) {
                 heroSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                setUrlState({ section: 'hero' }, 'push');
             }
         });
     });
 
-    // Enhanced Smooth scrolling for navigation links
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', function(e) {
-            e.preventDefault();
-            const targetId = this.getAttribute('href').substring(1);
-            const target = document.getElementById(targetId);
-            
-            if (target) {
-                const headerHeight = 100;
-                const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
+    // Scroll an element into view below the fixed header
+    function scrollToElement(target, behavior = 'smooth') {
+        const headerHeight = 100;
+        const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
 
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-            }
+        window.scrollTo({
+            top: targetPosition,
+            behavior: behavior
         });
-    });
-
-    // Enhanced Gallery Lightbox Functionality with Language Support
-    const galleryItems = document.querySelectorAll('.gallery-item');
-    const lightbox = document.getElementById('lightbox');
-    const lightboxImg = document.querySelector('.lightbox-img');
-    const lightboxCaption = document.querySelector('.lightbox-caption');
-    const lightboxClose = document.querySelector('.lightbox-close');
-    const lightboxPrev = document.querySelector('.lightbox-prev');
-    const lightboxNext = document.querySelector('.lightbox-next');
+    }
 
-    let currentImageIndex = 0;
-    let galleryImages = [];
+    function scrollToSection(targetId, behavior = 'smooth') {
+        const target = document.getElementById(targetId);
+        if (!target) return false;
 
-    function updateGalleryData() {
-        const currentLang = languageManager.getCurrentLanguage();
-        galleryImages = Array.from(galleryItems).map(item => ({
-            src: item.getAttribute('data-src'),
-            caption: item.getAttribute(`data-caption-${currentLang}`) || 
-                    item.querySelector('.gallery-caption')?.getAttribute(`data-${currentLang}`) ||
-                    item.querySelector('.gallery-caption')?.textContent || 
-                    (currentLang === 'ar' ? 'صورة المعرض' : 'Gallery Image')
-        }));
+        scrollToElement(target, behavior);
+        return true;
     }
 
-    // Update gallery data on language change
-    window.addEventListener('languageChanged', updateGalleryData);
-    
-    // Initialize gallery data
-    if (galleryItems.length > 0) {
-        updateGalleryData();
+    // Enhanced Smooth scrolling for in-page links, including ones rendered later (news, rich text)
+    document.addEventListener('click', function(e) {
+        const anchor = e.target.closest('a[href^="#"]');
+        if (!anchor) return;
 
-        // Open lightbox
-        galleryItems.forEach((item, index) => {
-            item.addEventListener('click', function() {
-                currentImageIndex = index;
-                updateGalleryData(); // Ensure latest language data
-                showLightboxImage();
-                lightbox.classList.remove('hidden');
-                document.body.style.overflow = 'hidden';
-            });
-        });
-    }
+        e.preventDefault();
+        const targetId = anchor.getAttribute('href').substring(1);
 
-    // Close lightbox functions
+        if (scrollToSection(targetId)) {
+            // Each jump gets its own history entry so Back returns to the previous section
+            setUrlState({ section: targetId }, 'push');
+        }
+    });
+
+    // Focus management shared by modal dialogs
+    const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    function getFocusableElements(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(element => !element.closest('.hidden'));
+    }
+
+    // Keep Tab / Shift+Tab cycling inside an open dialog
+    function trapFocus(e, container) {
+        if (e.key !== 'Tab') return;
+        const focusable = getFocusableElements(container);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Modal dialogs marked up as .modal > .modal__dialog with a .modal__close button (news articles,
+    // officer profiles). Escape, the close button and backdrop clicks dismiss them; focus moves in,
+    // stays trapped and returns to whatever opened the dialog.
+    class ModalDialog {
+        constructor(element, options = {}) {
+            this.element = element;
+            this.closeButton = element.querySelector('.modal__close');
+            this.onClose = options.onClose || null;
+            // Name of the history entry the dialog adds when opened (see pushDialogEntry), if any
+            this.historyEntry = options.historyEntry || null;
+            this.returnFocus = null;
+
+            if (this.closeButton) {
+                this.closeButton.addEventListener('click', () => this.close());
+            }
+
+            element.addEventListener('click', (e) => {
+                if (e.target === element) {
+                    this.close();
+                }
+            });
+
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.close();
+                } else {
+                    trapFocus(e, element);
+                }
+            });
+        }
+
+        isOpen() {
+            return !this.element.classList.contains('hidden');
+        }
+
+        open() {
+            if (!this.isOpen()) {
+                this.returnFocus = document.activeElement;
+            }
+            this.element.classList.remove('hidden');
+            document.body.style.overflow = 'hidden';
+            if (this.closeButton) {
+                this.closeButton.focus();
+            }
+        }
+
+        // inPlace keeps the dialog's history entry, for a close that navigates somewhere else
+        close(options = {}) {
+            if (!this.isOpen()) return;
+            if (this.historyEntry && !options.inPlace && leaveDialogEntry(this.historyEntry)) return;
+
+            this.element.classList.add('hidden');
+            document.body.style.overflow = 'auto';
+            if (this.onClose) {
+                this.onClose();
+            }
+
+            if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+        }
+    }
+
+    // Enhanced Gallery Lightbox Functionality with Language Support
+    const galleryItems = document.querySelectorAll('.gallery-item');
+    const lightbox = document.getElementById('lightbox');
+    const lightboxImg = document.querySelector('.lightbox-img');
+    const lightboxCaption = document.querySelector('.lightbox-caption');
+    const lightboxCounter = document.querySelector('.lightbox-counter');
+    const lightboxClose = document.querySelector('.lightbox-close');
+    const lightboxPrev = document.querySelector('.lightbox-prev');
+    const lightboxNext = document.querySelector('.lightbox-next');
+
+    let currentImageIndex = 0;
+    let galleryImages = [];
+    let lightboxReturnFocus = null;
+
+    // Albums group photos per event (data-album on each .gallery-item); '' shows every album.
+    // The lightbox only pages through the active album, while currentImageIndex counts across
+    // the whole gallery and the ?photo= deep link names the photo by its data-photo-id.
+    const galleryAlbumButtons = document.querySelectorAll('.gallery-album');
+    let activeAlbum = '';
+
+    function isLightboxOpen() {
+        return lightbox && !lightbox.classList.contains('hidden');
+    }
+
+    function getGalleryIndex(photoId) {
+        return Array.from(galleryItems).findIndex(item => item.dataset.photoId === photoId);
+    }
+
+    function isInActiveAlbum(index) {
+        return activeAlbum === '' || galleryItems[index].dataset.album === activeAlbum;
+    }
+
+    function getAlbumIndexes() {
+        return Array.from(galleryItems, (item, index) => index).filter(isInActiveAlbum);
+    }
+
+    function setGalleryAlbum(album) {
+        activeAlbum = album || '';
+        galleryItems.forEach((item, index) => {
+            item.classList.toggle('hidden', !isInActiveAlbum(index));
+        });
+        galleryAlbumButtons.forEach(button => {
+            button.setAttribute('aria-pressed', (button.dataset.album || '') === activeAlbum ? 'true' : 'false');
+        });
+    }
+
+    galleryAlbumButtons.forEach(button => {
+        button.addEventListener('click', () => setGalleryAlbum(button.dataset.album));
+    });
+
+    // Albums named after an event take its title from data/events.json, so they follow the events
+    // file and the content editor; the label in the markup stays if the event is not found
+    function setGalleryAlbumLabels(events) {
+        galleryAlbumButtons.forEach(button => {
+            const event = events.find(item => item.id === button.dataset.album);
+            if (!event || !event.title) return;
+            languageManager.getLocales().forEach(({ code }) => {
+                if (event.title[code]) {
+                    button.setAttribute(`data-${code}`, event.title[code]);
+                } else {
+                    button.removeAttribute(`data-${code}`);
+                }
+            });
+            button.textContent = languageManager.localize(event.title);
+        });
+    }
+
+    // Move through the active album, wrapping at either end
+    function stepLightbox(offset) {
+        const indexes = getAlbumIndexes();
+        if (indexes.length === 0) return;
+        const position = indexes.indexOf(currentImageIndex);
+        currentImageIndex = indexes[(position + offset + indexes.length) % indexes.length];
+        showLightboxImage();
+    }
+
+    // Thumbnails are lazy-loaded; each fades in over its blurred placeholder once it arrives
+    galleryItems.forEach(item => {
+        const thumb = item.querySelector('.gallery-thumb');
+        const image = item.querySelector('.gallery-img');
+        if (!thumb || !image || image.complete) return;
+
+        thumb.classList.add('is-loading');
+        const reveal = () => thumb.classList.remove('is-loading');
+        image.addEventListener('load', reveal, { once: true });
+        image.addEventListener('error', reveal, { once: true });
+    });
+
+    function updateGalleryData() {
+        galleryImages = Array.from(galleryItems).map(item => {
+            const captionElement = item.querySelector('.gallery-caption');
+            return {
+                src: item.getAttribute('data-src'),
+                caption: languageManager.getLocalizedAttribute(item, 'data-caption-') ||
+                        (captionElement && languageManager.getLocalizedAttribute(captionElement, 'data-')) ||
+                        (captionElement && captionElement.textContent) ||
+                        languageManager.t('gallery.fallbackCaption')
+            };
+        });
+
+        // Thumbnails are announced as buttons named after their caption
+        galleryItems.forEach((item, index) => {
+            item.setAttribute('aria-label', galleryImages[index].caption);
+        });
+
+        if (isLightboxOpen()) {
+            showLightboxImage();
+        }
+    }
+
+    // Update gallery data on language change
+    window.addEventListener('languageChanged', updateGalleryData);
+
+    function openLightbox(index) {
+        // A photo outside the active album (e.g. from a deep link) shows every album again
+        if (!isInActiveAlbum(index)) {
+            setGalleryAlbum('');
+        }
+        currentImageIndex = index;
+        lightboxReturnFocus = document.activeElement;
+        // Opening a photo is a history entry, so Back closes it again
+        pushDialogEntry('lightbox', { photo: galleryItems[index].dataset.photoId });
+        updateGalleryData(); // Ensure latest language data
+        showLightboxImage();
+        lightbox.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+        if (lightboxClose) {
+            lightboxClose.focus();
+        }
+    }
+    
+    // Initialize gallery data
+    if (galleryItems.length > 0) {
+        updateGalleryData();
+
+        // Open lightbox with a click, Enter or Space
+        galleryItems.forEach((item, index) => {
+            item.setAttribute('role', 'button');
+            item.setAttribute('tabindex', '0');
+
+            item.addEventListener('click', function() {
+                openLightbox(index);
+            });
+
+            item.addEventListener('keydown', function(e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    openLightbox(index);
+                }
+            });
+        });
+    }
+
+    // Captions from data/gallery.json ({ photos: [{ id, caption: { en, ar } }] }) replace the ones
+    // in the markup, matched by each item's data-photo-id. The content editor exports this file.
+    const galleryGrid = document.querySelector('.gallery-grid[data-source]');
+
+    function setGalleryCaption(item, caption) {
+        const captionElement = item.querySelector('.gallery-caption');
+        languageManager.getLocales().forEach(({ code }) => {
+            // A language missing from the file falls back instead of keeping the old caption
+            const elements = [[item, `data-caption-${code}`], [captionElement, `data-${code}`]];
+            elements.forEach(([element, attribute]) => {
+                if (!element) return;
+                if (caption[code]) {
+                    element.setAttribute(attribute, caption[code]);
+                } else {
+                    element.removeAttribute(attribute);
+                }
+            });
+        });
+        if (captionElement) {
+            captionElement.textContent = languageManager.localize(caption);
+        }
+    }
+
+    function applyGalleryCaptions(photos) {
+        photos.forEach(photo => {
+            const item = Array.from(galleryItems).find(element => element.dataset.photoId === photo.id);
+            if (item && photo.caption) {
+                setGalleryCaption(item, photo.caption);
+            }
+        });
+        updateGalleryData();
+    }
+
+    const galleryReady = galleryGrid ? languageManager.ready
+        .then(() => fetch(galleryGrid.dataset.source))
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load gallery captions: ${response.status}`);
+            }
+            return response.json();
+        })
+        .then(data => applyGalleryCaptions(data.photos || []))
+        .catch(error => {
+            // The captions in the markup stay in place
+            console.warn(error);
+        }) : languageManager.ready;
+
+    // Close lightbox functions
     function closeLightbox() {
-        if (lightbox) {
+        if (lightbox && !leaveDialogEntry('lightbox')) {
             lightbox.classList.add('hidden');
             document.body.style.overflow = 'auto';
+            resetLightboxZoom();
+            setUrlState({ photo: null }, 'replace');
+
+            // Return focus to the thumbnail that opened the dialog
+            if (lightboxReturnFocus && typeof lightboxReturnFocus.focus === 'function') {
+                lightboxReturnFocus.focus();
+            }
+            lightboxReturnFocus = null;
         }
     }
 
@@ -268,11 +1129,15 @@ document.addEventListener('DOMContentLoaded', function() {
                 closeLightbox();
             }
         });
+
+        lightbox.addEventListener('keydown', function(e) {
+            trapFocus(e, lightbox);
+        });
     }
 
     // Close lightbox with Escape key
     document.addEventListener('keydown', function(e) {
-        if (e.key === 'Escape' && lightbox && !lightbox.classList.contains('hidden')) {
+        if (e.key === 'Escape' && isLightboxOpen()) {
             closeLightbox();
         }
     });
@@ -281,9 +1146,22 @@ document.addEventListener('DOMContentLoaded', function() {
     function showLightboxImage() {
         if (galleryImages.length > 0 && lightboxImg && lightboxCaption) {
             const image = galleryImages[currentImageIndex];
+            if (lightboxImg.getAttribute('src') !== image.src) {
+                resetLightboxZoom();
+            }
             lightboxImg.src = image.src;
             lightboxImg.alt = image.caption;
             lightboxCaption.textContent = image.caption;
+            preloadNeighbourImages();
+            setUrlState({ photo: galleryItems[currentImageIndex].dataset.photoId }, 'replace');
+
+            if (lightboxCounter) {
+                const albumIndexes = getAlbumIndexes();
+                lightboxCounter.textContent = languageManager.t('lightbox.counter', {
+                    position: albumIndexes.indexOf(currentImageIndex) + 1,
+                    total: albumIndexes.length
+                });
+            }
         }
     }
 
@@ -291,8 +1169,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (lightboxPrev) {
         lightboxPrev.addEventListener('click', function(e) {
             e.stopPropagation();
-            currentImageIndex = (currentImageIndex - 1 + galleryImages.length) % galleryImages.length;
-            showLightboxImage();
+            stepLightbox(-1);
         });
     }
 
@@ -300,371 +1177,4572 @@ document.addEventListener('DOMContentLoaded', function() {
     if (lightboxNext) {
         lightboxNext.addEventListener('click', function(e) {
             e.stopPropagation();
-            currentImageIndex = (currentImageIndex + 1) % galleryImages.length;
-            showLightboxImage();
+            stepLightbox(1);
         });
     }
 
-    // Keyboard navigation for lightbox
+    // Keyboard navigation for lightbox: arrows follow reading direction, so in RTL
+    // ArrowLeft moves forward and ArrowRight moves back
     document.addEventListener('keydown', function(e) {
-        if (lightbox && !lightbox.classList.contains('hidden')) {
-            if (e.key === 'ArrowLeft' && lightboxPrev) {
+        if (isLightboxOpen()) {
+            const isRTL = languageManager.isCurrentlyRTL();
+            const backKey = isRTL ? 'ArrowRight' : 'ArrowLeft';
+            const forwardKey = isRTL ? 'ArrowLeft' : 'ArrowRight';
+            if (e.key === backKey && lightboxPrev) {
                 lightboxPrev.click();
-            } else if (e.key === 'ArrowRight' && lightboxNext) {
+            } else if (e.key === forwardKey && lightboxNext) {
                 lightboxNext.click();
             }
         }
     });
 
-    // Enhanced Form Validation with Language Support
-    function validateField(field) {
-        const value = field.value.trim();
-        let isValid = true;
-        let errorMessage = '';
-        const currentLang = languageManager.getCurrentLanguage();
+    // Warm the browser cache with the images on either side of the current one in the album
+    const preloadedImages = new Set();
 
-        // Remove existing error message
-        const existingError = field.parentElement.querySelector('.error-message');
-        if (existingError) {
-            existingError.remove();
+    function preloadNeighbourImages() {
+        const indexes = getAlbumIndexes();
+        const position = indexes.indexOf(currentImageIndex);
+        if (indexes.length < 2 || position === -1) return;
+        [-1, 1].forEach(offset => {
+            const index = indexes[(position + offset + indexes.length) % indexes.length];
+            const src = galleryImages[index].src;
+            if (src && !preloadedImages.has(src)) {
+                preloadedImages.add(src);
+                new Image().src = src;
+            }
+        });
+    }
+
+    // Touch gestures: swipe to change image (flipped under RTL), pinch or double-tap to zoom,
+    // and drag to pan while zoomed
+    const LIGHTBOX_MAX_ZOOM = 4;
+    const LIGHTBOX_DOUBLE_TAP_ZOOM = 2.5;
+    const SWIPE_THRESHOLD = 50;
+    const lightboxZoom = { scale: 1, x: 0, y: 0 };
+    let touchState = null;
+    let lastTapTime = 0;
+
+    function applyLightboxZoom() {
+        if (!lightboxImg) return;
+        lightboxImg.style.transform = lightboxZoom.scale === 1
+            ? ''
+            : `translate(${lightboxZoom.x}px, ${lightboxZoom.y}px) scale(${lightboxZoom.scale})`;
+        lightboxImg.classList.toggle('is-zoomed', lightboxZoom.scale > 1);
+    }
+
+    function resetLightboxZoom() {
+        lightboxZoom.scale = 1;
+        lightboxZoom.x = 0;
+        lightboxZoom.y = 0;
+        applyLightboxZoom();
+    }
+
+    function toggleLightboxZoom() {
+        if (lightboxZoom.scale > 1) {
+            resetLightboxZoom();
+        } else {
+            lightboxZoom.scale = LIGHTBOX_DOUBLE_TAP_ZOOM;
+            applyLightboxZoom();
         }
+    }
 
-        // Error messages in both languages
-        const errorMessages = {
-            en: {
-                required: 'This field is required',
-                email: 'Please enter a valid email address',
-                select: 'Please select an option',
-                minLength: 'Please provide at least 10 characters'
-            },
-            ar: {
-                required: 'هذا الحقل مطلوب',
-                email: 'يرجى إدخال عنوان بريد إلكتروني صحيح',
-                select: 'يرجى اختيار خيار',
-                minLength: 'يرجى كتابة ١٠ أحرف على الأقل'
+    // The transform transition smooths taps and resets, but would make the image lag behind the
+    // fingers, so it is switched off while a pinch or pan is in progress
+    function setLightboxTouchState(state) {
+        touchState = state;
+        lightboxImg.classList.toggle('is-gesturing', Boolean(state) && state.mode !== 'swipe');
+    }
+
+    function getTouchDistance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    function swipeLightbox(deltaX) {
+        // Swiping left reveals the next image in LTR and the previous one in RTL
+        const swipedLeft = deltaX < 0;
+        const goForward = languageManager.isCurrentlyRTL() ? !swipedLeft : swipedLeft;
+        const button = goForward ? lightboxNext : lightboxPrev;
+        if (button) button.click();
+    }
+
+    if (lightboxImg) {
+        lightboxImg.addEventListener('touchstart', function(e) {
+            if (e.touches.length === 2) {
+                setLightboxTouchState({
+                    mode: 'pinch',
+                    startDistance: getTouchDistance(e.touches),
+                    startScale: lightboxZoom.scale
+                });
+            } else if (e.touches.length === 1) {
+                setLightboxTouchState({
+                    mode: lightboxZoom.scale > 1 ? 'pan' : 'swipe',
+                    startX: e.touches[0].clientX,
+                    startY: e.touches[0].clientY,
+                    originX: lightboxZoom.x,
+                    originY: lightboxZoom.y
+                });
             }
-        };
+        }, { passive: true });
+
+        lightboxImg.addEventListener('touchmove', function(e) {
+            if (!touchState) return;
+            if (touchState.mode === 'pinch' && e.touches.length === 2) {
+                e.preventDefault();
+                const ratio = getTouchDistance(e.touches) / touchState.startDistance;
+                lightboxZoom.scale = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(1, touchState.startScale * ratio));
+                if (lightboxZoom.scale === 1) {
+                    lightboxZoom.x = 0;
+                    lightboxZoom.y = 0;
+                }
+                applyLightboxZoom();
+            } else if (touchState.mode === 'pan' && e.touches.length === 1) {
+                e.preventDefault();
+                lightboxZoom.x = touchState.originX + e.touches[0].clientX - touchState.startX;
+                lightboxZoom.y = touchState.originY + e.touches[0].clientY - touchState.startY;
+                applyLightboxZoom();
+            }
+        }, { passive: false });
+
+        lightboxImg.addEventListener('touchend', function(e) {
+            if (!touchState) return;
+            const state = touchState;
+            if (e.touches.length === 0) {
+                setLightboxTouchState(null);
+            }
+
+            if (state.mode !== 'swipe' || e.changedTouches.length !== 1) return;
+
+            const deltaX = e.changedTouches[0].clientX - state.startX;
+            const deltaY = e.changedTouches[0].clientY - state.startY;
+            if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+                swipeLightbox(deltaX);
+                lastTapTime = 0;
+                return;
+            }
+
+            // Two taps in quick succession toggle zoom
+            const now = Date.now();
+            if (Math.abs(deltaX) < 10 && Math.abs(deltaY) < 10) {
+                if (now - lastTapTime < 300) {
+                    e.preventDefault();
+                    toggleLightboxZoom();
+                    lastTapTime = 0;
+                } else {
+                    lastTapTime = now;
+                }
+            }
+        });
+
+        lightboxImg.addEventListener('touchcancel', function() {
+            setLightboxTouchState(null);
+        });
 
-        // Email validation
-        if (field.type === 'email' && value) {
-            const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailPattern.test(value)) {
-                isValid = false;
-                errorMessage = errorMessages[currentLang].email;
+        lightboxImg.addEventListener('dblclick', toggleLightboxZoom);
+    }
+
+    // Declarative Validation Rules Engine
+    // Rules are read from each field's markup: required, type="email", minlength/maxlength,
+    // pattern (with optional data-pattern-message), data-email-domain, and
+    // data-validate="<name> ..." for the custom validators registered below.
+    // Error messages live in the translation catalogs under "validation.<key>".
+    // Custom validators referenced from data-validate; test() returns true when the value is valid
+    const customValidators = {
+        'student-id': {
+            message: 'studentId',
+            params: { n: 9 },
+            test: value => /^\d{9}$/.test(value)
+        },
+        // Qatar mobile numbers: eight digits starting with 3, 5, 6 or 7, optionally after +974 / 00974
+        'qatar-phone': {
+            message: 'phone',
+            test: value => /^(?:\+974|00974)?[3567]\d{7}$/.test(value.replace(/[\s-]/g, ''))
+        }
+    };
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Each rule returns null when the (non-empty) value passes, or { key, params } describing the error
+    const validationRules = [
+        function emailRule(field, value) {
+            return field.type === 'email' && !EMAIL_PATTERN.test(value) ? { key: 'email' } : null;
+        },
+        function emailDomainRule(field, value) {
+            const domain = field.dataset.emailDomain;
+            if (!domain) return null;
+            return value.toLowerCase().endsWith(`@${domain.toLowerCase()}`) ? null : { key: 'emailDomain', params: { domain } };
+        },
+        function minLengthRule(field, value) {
+            const min = Number(field.getAttribute('minlength'));
+            return min && value.length < min ? { key: 'minLength', params: { n: min } } : null;
+        },
+        function maxLengthRule(field, value) {
+            const max = Number(field.getAttribute('maxlength'));
+            return max && value.length > max ? { key: 'maxLength', params: { n: max } } : null;
+        },
+        function patternRule(field, value) {
+            const pattern = field.getAttribute('pattern');
+            if (!pattern) return null;
+            // Same semantics as the HTML pattern attribute: the whole value must match
+            return new RegExp(`^(?:${pattern})$`).test(value) ? null : { key: field.dataset.patternMessage || 'pattern' };
+        },
+        function customRule(field, value) {
+            const names = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+            for (const name of names) {
+                const validator = customValidators[name];
+                if (!validator) {
+                    console.warn(`Unknown validator "${name}" on #${field.id}`);
+                } else if (!validator.test(value, field)) {
+                    return { key: validator.message, params: validator.params };
+                }
             }
+            return null;
+        }
+    ];
+
+    function formatValidationMessage(error, lang) {
+        return languageManager.t(`validation.${error.key}`, error.params, lang);
+    }
+
+    function getValidationError(field) {
+        // A checkbox's value never changes, so "required" means it has to be ticked
+        if (field.type === 'checkbox') {
+            return field.required && !field.checked ? { key: 'checkbox' } : null;
+        }
+
+        const value = field.value.trim();
+        if (!value) {
+            if (!field.required) return null;
+            return { key: field.tagName === 'SELECT' ? 'select' : 'required' };
         }
 
-        // Required field validation
-        if (field.required && !value) {
-            isValid = false;
-            errorMessage = errorMessages[currentLang].required;
+        for (const rule of validationRules) {
+            const error = rule(field, value);
+            if (error) return error;
         }
+        return null;
+    }
 
-        // Select field validation
-        if (field.tagName === 'SELECT' && field.required && !value) {
-            isValid = false;
-            errorMessage = errorMessages[currentLang].select;
+    function setDescribedBy(field, id, isLinked) {
+        const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(existing => existing && existing !== id);
+        if (isLinked) ids.push(id);
+        if (ids.length) {
+            field.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
         }
+    }
+
+    function validateField(field) {
+        const error = getValidationError(field);
+        const currentLang = languageManager.getCurrentLanguage();
+        const errorId = `${field.id}-error`;
 
-        // Text area minimum length
-        if (field.tagName === 'TEXTAREA' && value && value.length < 10) {
-            isValid = false;
-            errorMessage = errorMessages[currentLang].minLength;
+        // Remove existing error message
+        const existingError = field.parentElement.querySelector('.error-message');
+        if (existingError) {
+            existingError.remove();
         }
 
-        // Apply validation styles
-        if (!isValid) {
+        // Apply validation styles and link the message to the field for assistive technology
+        if (error) {
             field.classList.add('error');
+            field.setAttribute('aria-invalid', 'true');
             const errorElement = document.createElement('div');
             errorElement.className = 'error-message';
-            errorElement.style.cssText = `
-                color: var(--color-error);
-                font-size: var(--font-size-sm);
-                margin-top: var(--space-4);
-                text-align: ${currentLang === 'ar' ? 'right' : 'left'};
-            `;
-            errorElement.textContent = errorMessage;
+            errorElement.id = errorId;
+            errorElement.textContent = formatValidationMessage(error, currentLang);
             field.parentElement.appendChild(errorElement);
+            setDescribedBy(field, errorId, true);
         } else {
             field.classList.remove('error');
+            field.removeAttribute('aria-invalid');
+            setDescribedBy(field, errorId, false);
         }
 
-        return isValid;
+        return !error;
     }
 
-    // Enhanced Membership Form Handler
-    const membershipForm = document.getElementById('membership-form');
-    if (membershipForm) {
-        membershipForm.addEventListener('submit', function(e) {
-            e.preventDefault();
-            
-            let isFormValid = true;
+    // Every enabled .form-control in the form (or in one step of it) is validated; no per-form field lists
+    function getValidatableFields(container) {
+        return Array.from(container.querySelectorAll('.form-control')).filter(field => !field.disabled);
+    }
 
-            // Validate all fields
-            const nameField = membershipForm.querySelector('#student-name');
-            const emailField = membershipForm.querySelector('#student-email');
-            const yearField = membershipForm.querySelector('#year-level');
+    function getFieldLabel(field) {
+        const label = field.form.querySelector(`label[for="${field.id}"]`);
+        return label ? label.textContent.trim() : field.name;
+    }
 
-            if (nameField) isFormValid = validateField(nameField) && isFormValid;
-            if (emailField) isFormValid = validateField(emailField) && isFormValid;
-            if (yearField) isFormValid = validateField(yearField) && isFormValid;
+    // Summary of every invalid field at the top of the form, with links that move focus to the field
+    function renderErrorSummary(form, moveFocus, scope = form) {
+        const invalidFields = getValidatableFields(scope).filter(field => field.classList.contains('error'));
+        let summary = form.querySelector('.form-error-summary');
 
-            if (isFormValid) {
-                const currentLang = languageManager.getCurrentLanguage();
-                const successMessage = currentLang === 'ar' 
-                    ? 'شكراً لاهتمامك! سنتواصل معك قريباً بخصوص فرص العضوية.'
-                    : 'Thank you for your interest! We will contact you soon about membership opportunities.';
-                    
-                showNotification(successMessage, 'success');
-                membershipForm.reset();
-                
-                // Remove any remaining error states
-                membershipForm.querySelectorAll('.form-control').forEach(field => {
-                    field.classList.remove('error');
-                    const errorMsg = field.parentElement.querySelector('.error-message');
-                    if (errorMsg) errorMsg.remove();
-                });
-            }
-        });
+        if (invalidFields.length === 0) {
+            if (summary) summary.remove();
+            return;
+        }
 
-        // Real-time validation for membership form
-        membershipForm.querySelectorAll('.form-control').forEach(field => {
-            field.addEventListener('blur', function() {
-                validateField(this);
-            });
+        const currentLang = languageManager.getCurrentLanguage();
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'form-error-summary';
+            summary.tabIndex = -1;
+            summary.setAttribute('role', 'group');
+            summary.setAttribute('aria-labelledby', `${form.id}-error-summary-title`);
+            form.insertBefore(summary, form.firstChild);
+        }
+        summary.innerHTML = '';
 
-            field.addEventListener('input', function() {
-                if (this.classList.contains('error')) {
-                    validateField(this);
-                }
+        const title = document.createElement('p');
+        title.className = 'form-error-summary__title';
+        title.id = `${form.id}-error-summary-title`;
+        title.textContent = languageManager.t('forms.errorSummaryTitle');
+        summary.appendChild(title);
+
+        const list = document.createElement('ul');
+        invalidFields.forEach(field => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            const message = field.parentElement.querySelector('.error-message');
+            link.href = `#${field.id}`;
+            link.textContent = `${getFieldLabel(field)}: ${message ? message.textContent : ''}`;
+            link.addEventListener('click', function(e) {
+                e.preventDefault();
+                field.focus();
             });
+            item.appendChild(link);
+            list.appendChild(item);
         });
-    }
-
-    // Enhanced Contact Form Handler
-    const contactForm = document.getElementById('contact-form');
-    if (contactForm) {
-        contactForm.addEventListener('submit', function(e) {
-            e.preventDefault();
-            
-            let isFormValid = true;
+        summary.appendChild(list);
 
-            // Validate all fields
-            const nameField = contactForm.querySelector('#contact-name');
-            const emailField = contactForm.querySelector('#contact-email');
-            const subjectField = contactForm.querySelector('#contact-subject');
-            const messageField = contactForm.querySelector('#contact-message');
+        if (moveFocus) {
+            summary.focus();
+        }
+    }
 
-            if (nameField) isFormValid = validateField(nameField) && isFormValid;
-            if (emailField) isFormValid = validateField(emailField) && isFormValid;
-            if (subjectField) isFormValid = validateField(subjectField) && isFormValid;
-            if (messageField) isFormValid = validateField(messageField) && isFormValid;
+    // scope limits validation to part of the form, such as the current step of a wizard
+    function validateForm(form, scope = form) {
+        const isValid = getValidatableFields(scope).reduce((valid, field) => validateField(field) && valid, true);
+        renderErrorSummary(form, !isValid, scope);
+        return isValid;
+    }
 
-            if (isFormValid) {
-                const currentLang = languageManager.getCurrentLanguage();
-                const successMessage = currentLang === 'ar' 
-                    ? 'شكراً لتواصلك معنا! سنعود إليك قريباً.'
-                    : 'Thank you for contacting us! We will get back to you shortly.';
-                    
-                showNotification(successMessage, 'success');
-                contactForm.reset();
-                
-                // Remove any remaining error states
-                contactForm.querySelectorAll('.form-control').forEach(field => {
-                    field.classList.remove('error');
-                    const errorMsg = field.parentElement.querySelector('.error-message');
-                    if (errorMsg) errorMsg.remove();
-                });
-            }
-        });
+    // Re-translate visible errors when the language changes mid-edit
+    window.addEventListener('languageChanged', function() {
+        document.querySelectorAll('.form-control.error').forEach(field => validateField(field));
+        document.querySelectorAll('.form-error-summary').forEach(summary => renderErrorSummary(summary.parentElement, false));
+    });
 
-        // Real-time validation for contact form
-        contactForm.querySelectorAll('.form-control').forEach(field => {
-            field.addEventListener('blur', function() {
-                validateField(this);
-            });
+    // Form Submission Backend
+    // Each form picks an adapter with data-adapter="http|mailto|queue" and its
+    // data-endpoint / data-mailto attributes; an http form without an endpoint falls back to mailto.
+    // The http adapter POSTs the submission as JSON and expects a 2xx answer; 5xx and network
+    // failures are queued and retried, while a 4xx is final.
+    function createSubmissionError(message, retryable, status) {
+        const error = new Error(message);
+        error.retryable = retryable;
+        error.status = status || null;
+        return error;
+    }
 
-            field.addEventListener('input', function() {
-                if (this.classList.contains('error')) {
-                    validateField(this);
+    function postSubmission(endpoint, payload) {
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        })
+            .catch(() => {
+                // fetch only rejects when the request never reached the server
+                throw createSubmissionError('Network error while sending submission', true);
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw createSubmissionError(`Submission rejected with status ${response.status}`, response.status >= 500, response.status);
                 }
+                return response;
             });
-        });
     }
 
-    // Enhanced Notification System with Language Support
-    function showNotification(message, type = 'info') {
-        // Remove existing notifications
-        const existingNotifications = document.querySelectorAll('.notification');
-        existingNotifications.forEach(notification => notification.remove());
+    // Submissions kept in localStorage until they can be delivered (or reviewed, if no endpoint)
+    class SubmissionQueue {
+        constructor(storageKey) {
+            this.storageKey = storageKey;
+            this.flushing = null;
+        }
 
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification--${type}`;
-        
-        // Get color based on type
-        let borderColor = 'var(--color-info)';
-        if (type === 'success') borderColor = 'var(--color-success)';
-        if (type === 'error') borderColor = 'var(--color-error)';
-        if (type === 'warning') borderColor = 'var(--color-warning)';
-        
-        const isRTL = languageManager.isCurrentlyRTL();
-        
-        notification.style.cssText = `
-            position: fixed;
-            top: 100px;
-            ${isRTL ? 'left: 20px' : 'right: 20px'};
-            background: var(--color-surface);
-            color: var(--color-text);
-            padding: var(--space-16) var(--space-20);
-            border-radius: var(--radius-base);
-            box-shadow: var(--shadow-lg);
-            border-${isRTL ? 'right' : 'left'}: 4px solid ${borderColor};
-            max-width: 400px;
-            z-index: 1500;
-            opacity: 0;
-            transform: translateX(${isRTL ? '-100%' : '100%'});
-            transition: all var(--duration-normal) var(--ease-standard);
-            cursor: pointer;
-            font-size: var(--font-size-md);
-            line-height: 1.4;
-            direction: ${isRTL ? 'rtl' : 'ltr'};
-            text-align: ${isRTL ? 'right' : 'left'};
-        `;
+        getAll() {
+            try {
+                return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            } catch (e) {
+                // localStorage might not be available in some environments
+                return [];
+            }
+        }
+
+        save(entries) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(entries));
+                return true;
+            } catch (e) {
+                console.warn('Could not save submission queue');
+                return false;
+            }
+        }
+
+        add(entry) {
+            const record = Object.assign({
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                queuedAt: new Date().toISOString(),
+                attempts: 0
+            }, entry);
+            const entries = this.getAll();
+            entries.push(record);
+            if (!this.save(entries)) {
+                throw createSubmissionError('Submission could not be stored on this device', false);
+            }
+            return record;
+        }
+
+        remove(id) {
+            this.save(this.getAll().filter(entry => entry.id !== id));
+        }
+
+        update(id, changes) {
+            return this.save(this.getAll().map(entry => entry.id === id ? Object.assign({}, entry, changes) : entry));
+        }
+
+        // Entries the server refused stay on the device (marked rejectedAt) but are not sent again
+        getPending() {
+            return this.getAll().filter(entry => entry.endpoint && !entry.rejectedAt);
+        }
+
+        // Deliver entries that have an endpoint, one at a time; stops at the first network failure.
+        // A flush already under way (the "online" event, the startup call, a Retry button) is shared
+        // rather than started twice, so no entry is POSTed twice.
+        flush() {
+            if (!this.flushing) {
+                this.flushing = this.deliverPending().then(result => {
+                    this.flushing = null;
+                    return result;
+                });
+            }
+            return this.flushing;
+        }
+
+        deliverPending() {
+            const pending = this.getPending();
+            const result = { sent: 0, rejected: 0 };
+
+            return pending.reduce((chain, entry) => chain.then(keepGoing => {
+                if (!keepGoing) return false;
+                return postSubmission(entry.endpoint, entry.payload)
+                    .then(() => {
+                        this.remove(entry.id);
+                        result.sent++;
+                        return true;
+                    })
+                    .catch(error => {
+                        if (error.retryable) {
+                            this.update(entry.id, { attempts: entry.attempts + 1 });
+                            return false;
+                        }
+                        this.update(entry.id, {
+                            attempts: entry.attempts + 1,
+                            rejectedAt: new Date().toISOString(),
+                            rejectedStatus: error.status
+                        });
+                        result.rejected++;
+                        return true;
+                    });
+            }), Promise.resolve(true)).then(() => result);
+        }
+    }
+
+    const submissionQueue = new SubmissionQueue('pharmacy-club-submission-queue');
+
+    function buildMailtoLink(address, subject, fields) {
+        const body = Object.keys(fields).map(name => `${name}: ${fields[name]}`).join('\n');
+        return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    // The officer area's local demo (data-storage="local" on #admin-panel) lists what was submitted
+    // on this device, so mailto submissions leave a copy in the queue too. It has no endpoint and is
+    // never sent anywhere; without the demo nothing is kept.
+    function keepAdminDemoCopy(form, payload) {
+        const adminPanel = document.getElementById('admin-panel');
+        if (!adminPanel || adminPanel.dataset.storage !== 'local') return;
+        try {
+            submissionQueue.add({ formId: form.id, endpoint: null, payload: payload });
+        } catch (e) {
+            console.warn(e);
+        }
+    }
+
+    const submissionAdapters = {
+        http(form) {
+            const endpoint = form.dataset.endpoint;
+            return {
+                submit(payload) {
+                    // Known to be offline: queue right away instead of waiting for the request to fail
+                    if (navigator.onLine === false) {
+                        submissionQueue.add({ formId: form.id, endpoint: endpoint, payload: payload });
+                        return Promise.resolve({ status: 'queued' });
+                    }
+                    return postSubmission(endpoint, payload)
+                        .then(() => ({ status: 'sent' }))
+                        .catch(error => {
+                            if (!error.retryable) throw error;
+                            submissionQueue.add({ formId: form.id, endpoint: endpoint, payload: payload });
+                            return { status: 'queued' };
+                        });
+                }
+            };
+        },
+
+        mailto(form) {
+            return {
+                submit(payload) {
+                    const baseSubject = form.dataset.mailtoSubject || form.id;
+                    const subject = payload.topic ? `${baseSubject} - ${payload.topic}` : baseSubject;
+                    keepAdminDemoCopy(form, payload);
+                    window.location.href = buildMailtoLink(payload.recipient || form.dataset.mailto, subject, payload.fields);
+                    return Promise.resolve({ status: 'mailto' });
+                }
+            };
+        },
+
+        queue(form) {
+            return {
+                submit(payload) {
+                    submissionQueue.add({ formId: form.id, endpoint: form.dataset.endpoint || null, payload: payload });
+                    return Promise.resolve({ status: 'stored' });
+                }
+            };
+        }
+    };
+
+    function getSubmissionAdapter(form) {
+        let type = form.dataset.adapter || 'queue';
+        if (type === 'http' && !form.dataset.endpoint && form.dataset.mailto) {
+            type = 'mailto';
+        }
+        const factory = submissionAdapters[type] || submissionAdapters.queue;
+        return factory(form);
+    }
+
+    function serializeForm(form) {
+        const fields = {};
+        const formData = new FormData(form);
+        formData.forEach((value, name) => {
+            fields[name] = typeof value === 'string' ? value.trim() : value;
+        });
+        // Checkbox groups (several boxes sharing a name) always become a list of the checked values
+        form.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            if (form.querySelectorAll(`input[type="checkbox"][name="${input.name}"]`).length > 1) {
+                fields[input.name] = formData.getAll(input.name);
+            }
+        });
+        // Honeypot fields are for spam detection only and never leave the browser
+        form.querySelectorAll('.form-honeypot input').forEach(input => {
+            delete fields[input.name];
+        });
+        return fields;
+    }
+
+    function submitForm(form, extraPayload = {}) {
+        const payload = Object.assign({
+            form: form.id,
+            language: languageManager.getCurrentLanguage(),
+            submittedAt: new Date().toISOString(),
+            fields: serializeForm(form)
+        }, extraPayload);
+        return getSubmissionAdapter(form).submit(payload);
+    }
+
+    // Spam protection: a hidden honeypot field, a minimum time-to-submit and a per-browser rate limit,
+    // configured per form with data-min-seconds, data-rate-limit and data-rate-window (in seconds)
+    const formStartTimes = new WeakMap();
+
+    // The time-to-submit clock starts at the first interaction with the form (focusing or typing in
+    // a field) rather than at page load, and restarts once a message has been sent
+    function trackFormStart(form) {
+        const start = () => {
+            if (!formStartTimes.has(form)) {
+                formStartTimes.set(form, Date.now());
+            }
+        };
+        form.addEventListener('focusin', start);
+        form.addEventListener('input', start);
+    }
+
+    function resetFormStart(form) {
+        formStartTimes.delete(form);
+    }
+
+    function getSubmissionLog(form) {
+        try {
+            return JSON.parse(localStorage.getItem(`pharmacy-club-submission-log-${form.id}`)) || [];
+        } catch (e) {
+            // localStorage might not be available in some environments
+            return [];
+        }
+    }
+
+    function recordSubmission(form) {
+        const windowMs = Number(form.dataset.rateWindow || 3600) * 1000;
+        const now = Date.now();
+        const log = getSubmissionLog(form).filter(timestamp => now - timestamp < windowMs);
+        log.push(now);
+        try {
+            localStorage.setItem(`pharmacy-club-submission-log-${form.id}`, JSON.stringify(log));
+        } catch (e) {
+            console.warn('Could not save submission log');
+        }
+    }
+
+    // Returns null when the submission looks legitimate, otherwise the reason it was blocked
+    function checkSpamProtection(form) {
+        const honeypot = form.querySelector('.form-honeypot input');
+        if (honeypot && honeypot.value) {
+            return 'honeypot';
+        }
+
+        // A form submitted without ever being touched was filled in by a script
+        const minSeconds = Number(form.dataset.minSeconds || 0);
+        const startedAt = formStartTimes.get(form);
+        if (minSeconds > 0 && (startedAt === undefined || Date.now() - startedAt < minSeconds * 1000)) {
+            return 'tooFast';
+        }
+
+        const rateLimit = Number(form.dataset.rateLimit || 0);
+        if (rateLimit > 0) {
+            const windowMs = Number(form.dataset.rateWindow || 3600) * 1000;
+            const now = Date.now();
+            const recent = getSubmissionLog(form).filter(timestamp => now - timestamp < windowMs);
+            if (recent.length >= rateLimit) {
+                return 'rateLimited';
+            }
+        }
+
+        return null;
+    }
+
+    function setFormSubmitting(form, isSubmitting) {
+        const submitButton = form.querySelector('[type="submit"]');
+        form.setAttribute('aria-busy', isSubmitting ? 'true' : 'false');
+        if (submitButton) {
+            submitButton.disabled = isSubmitting;
+            submitButton.classList.toggle('btn--loading', isSubmitting);
+        }
+    }
+
+    function getSubmissionMessage(key) {
+        return languageManager.t(`submission.${key}`);
+    }
+
+    // Retry queued submissions once the browser is back online
+    function flushSubmissionQueue() {
+        if (submissionQueue.getPending().length === 0) return;
+        submissionQueue.flush().then(result => {
+            if (result.sent > 0) showNotification(getSubmissionMessage('flushed'), 'success');
+            if (result.rejected > 0) showNotification(getSubmissionMessage('flushRejected'), 'error');
+        });
+    }
+
+    // A queued submission can be retried right away instead of waiting for the "online" event
+    function showSubmissionResult(result) {
+        const actions = result.status === 'queued'
+            ? [{ label: languageManager.t('notifications.retry'), onClick: flushSubmissionQueue }]
+            : [];
+        showNotification(getSubmissionMessage(result.status), 'info', { actions });
+    }
+
+    // Rejected submissions would only be rejected again; anything else can be sent once more
+    function showSubmissionError(form, error) {
+        const actions = error.status
+            ? []
+            : [{ label: languageManager.t('notifications.retry'), onClick: () => form.requestSubmit() }];
+        showNotification(getSubmissionMessage(error.status ? 'rejected' : 'failed'), 'error', { actions });
+    }
+
+    window.addEventListener('online', flushSubmissionQueue);
+    if (navigator.onLine) {
+        flushSubmissionQueue();
+    }
+
+    function clearFormErrors(form) {
+        form.querySelectorAll('.form-control').forEach(field => {
+            field.classList.remove('error');
+            field.removeAttribute('aria-invalid');
+            setDescribedBy(field, `${field.id}-error`, false);
+            const errorMsg = field.parentElement.querySelector('.error-message');
+            if (errorMsg) errorMsg.remove();
+        });
+        const summary = form.querySelector('.form-error-summary');
+        if (summary) summary.remove();
+    }
+
+    // Multi-step Membership Application
+    // #membership-form is split into <fieldset class="form-step"> steps with a progress list, and
+    // each step is validated before moving on. Answers are autosaved as a draft in localStorage
+    // (under data-draft-key) so a reload mid-application picks up where the student left off.
+    class MembershipWizard {
+        constructor(form) {
+            this.form = form;
+            this.steps = Array.from(form.querySelectorAll('.form-step'));
+            this.progressItems = Array.from(form.querySelectorAll('.form-steps__item'));
+            this.countElement = form.querySelector('.form-steps__count');
+            this.review = form.querySelector('.form-review');
+            this.draftStatus = form.querySelector('.form-draft-status');
+            this.draftKey = form.dataset.draftKey || null;
+            this.backButton = form.querySelector('[data-step-action="back"]');
+            this.nextButton = form.querySelector('[data-step-action="next"]');
+            this.submitButton = form.querySelector('[type="submit"]');
+            this.current = 0;
+
+            this.backButton.addEventListener('click', () => {
+                this.goTo(this.current - 1);
+                this.saveDraft();
+            });
+            this.nextButton.addEventListener('click', () => this.next());
+            form.addEventListener('input', () => this.saveDraft());
+            form.addEventListener('change', () => this.saveDraft());
+
+            if (this.draftStatus) {
+                this.draftStatus.querySelector('.form-draft-status__discard').addEventListener('click', () => {
+                    const draft = this.getDraft();
+                    this.reset();
+                    this.focusStep();
+                    if (!draft) return;
+                    showNotification(languageManager.t('membership.draftDiscarded'), 'info', {
+                        actions: [{
+                            label: languageManager.t('notifications.undo'),
+                            onClick: () => {
+                                this.restoreDraft(draft);
+                                this.saveDraft();
+                                this.focusStep();
+                            }
+                        }]
+                    });
+                });
+            }
+
+            window.addEventListener('languageChanged', () => {
+                this.updateProgress();
+                if (this.isLastStep()) {
+                    this.renderReview();
+                }
+            });
+
+            this.restoreDraft();
+        }
+
+        isLastStep() {
+            return this.current === this.steps.length - 1;
+        }
+
+        goTo(index, moveFocus = true) {
+            this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+            this.steps.forEach((step, i) => step.classList.toggle('hidden', i !== this.current));
+
+            // The summary only ever describes the step it was shown for
+            const summary = this.form.querySelector('.form-error-summary');
+            if (summary) summary.remove();
+
+            this.backButton.classList.toggle('hidden', this.current === 0);
+            this.nextButton.classList.toggle('hidden', this.isLastStep());
+            this.submitButton.classList.toggle('hidden', !this.isLastStep());
+
+            if (this.isLastStep()) {
+                this.renderReview();
+            }
+            this.updateProgress();
+
+            if (moveFocus) {
+                this.focusStep();
+            }
+        }
+
+        focusStep() {
+            const field = this.steps[this.current].querySelector('.form-control, .form-check__input');
+            if (field) field.focus();
+        }
+
+        next() {
+            if (validateForm(this.form, this.steps[this.current])) {
+                this.goTo(this.current + 1);
+                this.saveDraft();
+            }
+        }
+
+        // Before submitting, send the student back to the first step with a problem (a restored
+        // draft can skip straight to the last step)
+        validateAll() {
+            const invalidIndex = this.steps.findIndex(step => getValidatableFields(step).some(field => getValidationError(field)));
+            if (invalidIndex === -1) return true;
+
+            this.goTo(invalidIndex, false);
+            validateForm(this.form, this.steps[invalidIndex]);
+            return false;
+        }
+
+        updateProgress() {
+            this.progressItems.forEach((item, i) => {
+                item.classList.toggle('is-complete', i < this.current);
+                if (i === this.current) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            });
+            if (this.countElement) {
+                this.countElement.textContent = languageManager.t('membership.stepCount', {
+                    current: this.current + 1,
+                    total: this.steps.length
+                });
+            }
+        }
+
+        getDisplayValue(field) {
+            if (field.tagName === 'SELECT') {
+                return field.value ? field.options[field.selectedIndex].textContent.trim() : '';
+            }
+            return field.value.trim();
+        }
+
+        // Read-only summary of the earlier steps, shown next to the consent checkbox
+        renderReview() {
+            if (!this.review) return;
+            this.review.innerHTML = '';
+
+            const addItem = (label, value) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const description = document.createElement('dd');
+                description.textContent = value || languageManager.t('membership.reviewNone');
+                this.review.appendChild(term);
+                this.review.appendChild(description);
+            };
+
+            const locale = languageManager.getDateLocale(languageManager.getCurrentLanguage());
+            this.steps.slice(0, -1).forEach(step => {
+                step.querySelectorAll('.form-control').forEach(field => {
+                    addItem(getFieldLabel(field), this.getDisplayValue(field));
+                });
+                step.querySelectorAll('.form-choices').forEach(group => {
+                    const choices = Array.from(group.querySelectorAll('input:checked'))
+                        .map(input => input.parentElement.textContent.trim());
+                    const legend = group.querySelector('legend');
+                    addItem(legend ? legend.textContent.trim() : '', new Intl.ListFormat(locale, { type: 'conjunction' }).format(choices));
+                });
+            });
+        }
+
+        setDraftStatus(key) {
+            if (!this.draftStatus) return;
+            const text = this.draftStatus.querySelector('.form-draft-status__text');
+            text.setAttribute('data-i18n', key);
+            text.textContent = languageManager.t(key);
+            this.draftStatus.classList.remove('hidden');
+        }
+
+        getDraft() {
+            if (!this.draftKey) return null;
+            try {
+                return JSON.parse(localStorage.getItem(this.draftKey));
+            } catch (e) {
+                // localStorage might not be available in some environments
+                return null;
+            }
+        }
+
+        saveDraft() {
+            if (!this.draftKey) return;
+            try {
+                localStorage.setItem(this.draftKey, JSON.stringify({
+                    step: this.current,
+                    fields: serializeForm(this.form),
+                    savedAt: new Date().toISOString()
+                }));
+                this.setDraftStatus('membership.draftSaved');
+            } catch (e) {
+                console.warn('Could not save membership draft');
+            }
+        }
+
+        clearDraft() {
+            if (!this.draftKey) return;
+            try {
+                localStorage.removeItem(this.draftKey);
+            } catch (e) {
+                // localStorage might not be available in some environments
+            }
+        }
+
+        restoreDraft(draft = this.getDraft()) {
+            if (!draft || !draft.fields) {
+                this.goTo(0, false);
+                return;
+            }
+
+            Array.from(this.form.elements).forEach(element => {
+                if (!element.name) return;
+                const value = draft.fields[element.name];
+                if (element.type === 'checkbox') {
+                    element.checked = value !== undefined && [].concat(value).includes(element.value);
+                } else if (value !== undefined) {
+                    element.value = value;
+                }
+            });
+
+            syncFocusedLabels(this.form);
+            this.setDraftStatus('membership.draftRestored');
+            this.goTo(Number(draft.step) || 0, false);
+        }
+
+        // Back to an empty first step once the application is sent or the student starts over
+        reset() {
+            this.clearDraft();
+            this.form.reset();
+            clearFormErrors(this.form);
+            syncFocusedLabels(this.form);
+            if (this.draftStatus) {
+                this.draftStatus.classList.add('hidden');
+            }
+            this.goTo(0, false);
+        }
+    }
+
+    // Enhanced Membership Form Handler
+    const membershipForm = document.getElementById('membership-form');
+    if (membershipForm) {
+        const membershipWizard = new MembershipWizard(membershipForm);
+
+        membershipForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            // Enter on an earlier step moves on instead of submitting
+            if (!membershipWizard.isLastStep()) {
+                membershipWizard.next();
+                return;
+            }
+
+            if (membershipWizard.validateAll()) {
+                setFormSubmitting(membershipForm, true);
+
+                submitForm(membershipForm)
+                    .then(result => {
+                        if (result.status === 'sent' || result.status === 'stored') {
+                            showNotification(languageManager.t('membership.success'), 'success');
+                        } else {
+                            showSubmissionResult(result);
+                        }
+
+                        membershipWizard.reset();
+                    })
+                    .catch(error => {
+                        console.warn(error);
+                        showSubmissionError(membershipForm, error);
+                    })
+                    .finally(() => {
+                        setFormSubmitting(membershipForm, false);
+                    });
+            }
+        });
+
+        // Real-time validation for membership form
+        membershipForm.querySelectorAll('.form-control').forEach(field => {
+            field.addEventListener('blur', function() {
+                validateField(this);
+            });
+
+            field.addEventListener('input', function() {
+                if (this.classList.contains('error')) {
+                    validateField(this);
+                }
+            });
+        });
+    }
+
+    // Enhanced Contact Form Handler
+    const contactForm = document.getElementById('contact-form');
+    if (contactForm) {
+        contactForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            
+            const subjectField = contactForm.querySelector('#contact-subject');
+
+            if (validateForm(contactForm)) {
+                const successMessage = languageManager.t('contact.success');
+
+                const finishContactForm = () => {
+                    contactForm.reset();
+                    clearFormErrors(contactForm);
+                    resetFormStart(contactForm);
+                };
+
+                const spamReason = checkSpamProtection(contactForm);
+                if (spamReason === 'honeypot') {
+                    // Pretend it worked so bots get no signal
+                    showNotification(successMessage, 'success');
+                    finishContactForm();
+                    return;
+                }
+                if (spamReason) {
+                    showNotification(getSubmissionMessage(spamReason), 'warning');
+                    return;
+                }
+
+                const selectedTopic = subjectField ? subjectField.options[subjectField.selectedIndex] : null;
+                const topic = selectedTopic ? selectedTopic.value : '';
+
+                // data-routing="officer" sends each topic to the current officer who handles it
+                // (see "topics" in data/leadership.json); otherwise the option's data-inbox is used
+                const officer = subjectField && subjectField.dataset.routing === 'officer' && leadershipManager
+                    ? leadershipManager.getOfficerForTopic(topic)
+                    : null;
+
+                setFormSubmitting(contactForm, true);
+
+                submitForm(contactForm, {
+                    topic: topic,
+                    recipient: officer && officer.email ? officer.email : (selectedTopic ? selectedTopic.dataset.inbox : '')
+                })
+                    .then(result => {
+                        // Only delivered messages count toward the rate limit; queued ones are
+                        // still waiting to be sent
+                        if (result.status !== 'queued') {
+                            recordSubmission(contactForm);
+                        }
+                        if (result.status === 'sent' || result.status === 'stored') {
+                            showNotification(successMessage, 'success');
+                        } else {
+                            showSubmissionResult(result);
+                        }
+                        finishContactForm();
+                    })
+                    .catch(error => {
+                        console.warn(error);
+                        showSubmissionError(contactForm, error);
+                    })
+                    .finally(() => {
+                        setFormSubmitting(contactForm, false);
+                    });
+            }
+        });
+
+        trackFormStart(contactForm);
+
+        // Real-time validation for contact form
+        contactForm.querySelectorAll('.form-control').forEach(field => {
+            field.addEventListener('blur', function() {
+                validateField(this);
+            });
+
+            field.addEventListener('input', function() {
+                if (this.classList.contains('error')) {
+                    validateField(this);
+                }
+            });
+        });
+    }
+
+    // Screen reader announcements through the polite/assertive live regions in index.html
+    function announce(message, politeness = 'polite') {
+        const region = document.getElementById(`live-region-${politeness}`);
+        if (!region) return;
+        region.setAttribute('lang', languageManager.getCurrentLanguage());
+        region.textContent = '';
+        // Setting the text on a later tick makes repeated messages announce again
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    // Notification Center
+    // showNotification(message, type, options) stacks toasts at the top corner on the reading-direction
+    // end instead of replacing each other. Up to NOTIFICATION_STACK_LIMIT are on screen at once; the
+    // rest wait in a queue ordered by NOTIFICATION_PRIORITY, and a more urgent one pushes out the least
+    // urgent toast showing. options.actions adds buttons ({ label, onClick }) such as Retry or Undo,
+    // and options.duration overrides how long a toast stays (0 keeps it until dismissed). Timers pause
+    // while a toast is hovered or focused, and the slide-in is skipped under prefers-reduced-motion.
+    // Every notification is kept for this visit in the history panel behind #notifications-btn.
+    const NOTIFICATION_PRIORITY = { error: 3, warning: 2, success: 1, info: 0 };
+    const NOTIFICATION_STACK_LIMIT = 3;
+    const NOTIFICATION_HISTORY_LIMIT = 20;
+    const NOTIFICATION_DURATION = 5000;
+    const NOTIFICATION_ACTION_DURATION = 10000;
+    const NOTIFICATION_EXIT_MS = 300;
+
+    function getNotificationPriority(notification) {
+        return NOTIFICATION_PRIORITY[notification.type] || 0;
+    }
+
+    class NotificationCenter {
+        constructor(stack, options = {}) {
+            this.stack = stack;
+            this.historyButton = options.historyButton || null;
+            this.historyPanel = options.historyPanel || null;
+            this.queue = [];
+            this.visible = [];
+            this.history = [];
+            this.unread = 0;
+            this.nextId = 1;
+            this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+            if (this.historyButton && this.historyPanel) {
+                this.setupHistory();
+                window.addEventListener('languageChanged', () => this.renderHistory());
+            }
+        }
+
+        notify(message, type = 'info', options = {}) {
+            const actions = options.actions || [];
+
+            // The same message again (a flapping connection, say) restarts the toast already showing
+            const duplicate = this.visible.find(item => item.message === message && item.type === type && item.actions.length === 0);
+            if (duplicate && actions.length === 0) {
+                this.pauseTimer(duplicate);
+                duplicate.remaining = duplicate.duration;
+                this.resumeTimer(duplicate);
+                announce(message, type === 'error' || type === 'warning' ? 'assertive' : 'polite');
+                return { dismiss: () => this.hide(duplicate) };
+            }
+
+            const notification = {
+                id: this.nextId++,
+                message,
+                type,
+                actions,
+                lang: languageManager.getCurrentLanguage(),
+                createdAt: new Date().toISOString(),
+                duration: options.duration !== undefined ? options.duration
+                    : (actions.length > 0 ? NOTIFICATION_ACTION_DURATION : NOTIFICATION_DURATION)
+            };
+
+            this.addToHistory(notification);
+
+            // Same priority keeps arrival order
+            const index = this.queue.findIndex(item => getNotificationPriority(item) < getNotificationPriority(notification));
+            if (index === -1) {
+                this.queue.push(notification);
+            } else {
+                this.queue.splice(index, 0, notification);
+            }
+            this.showNext();
+
+            return { dismiss: () => this.hide(notification) };
+        }
+
+        showNext() {
+            while (this.queue.length > 0) {
+                if (this.visible.length >= NOTIFICATION_STACK_LIMIT) {
+                    // The least urgent toast on screen (the oldest of equals) makes way for a more urgent one
+                    const leastUrgent = this.visible.reduce((lowest, item) => {
+                        return getNotificationPriority(item) < getNotificationPriority(lowest) ? item : lowest;
+                    });
+                    if (getNotificationPriority(leastUrgent) >= getNotificationPriority(this.queue[0])) return;
+                    this.removeToast(leastUrgent);
+                }
+                this.show(this.queue.shift());
+            }
+        }
+
+        prefersReducedMotion() {
+            return Boolean(this.reducedMotion && this.reducedMotion.matches);
+        }
+
+        createElement(notification) {
+            const element = document.createElement('div');
+            element.className = `notification notification--${notification.type}`;
+            element.lang = notification.lang;
+            element.dataset.notificationId = notification.id;
+
+            const message = document.createElement('p');
+            message.className = 'notification__message';
+            message.textContent = notification.message;
+            element.appendChild(message);
+
+            if (notification.actions.length > 0) {
+                const actions = document.createElement('div');
+                actions.className = 'notification__actions';
+                notification.actions.forEach(action => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'btn btn--outline btn--sm notification__action';
+                    button.textContent = action.label;
+                    button.addEventListener('click', () => {
+                        this.hide(notification);
+                        action.onClick();
+                    });
+                    actions.appendChild(button);
+                });
+                element.appendChild(actions);
+            }
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'notification__close';
+            close.setAttribute('aria-label', languageManager.t('notifications.dismiss', {}, notification.lang));
+            close.textContent = '×';
+            element.appendChild(close);
+
+            // Click anywhere else on the toast to dismiss it
+            element.addEventListener('click', (e) => {
+                if (!e.target.closest('.notification__action')) {
+                    this.hide(notification);
+                }
+            });
+
+            element.addEventListener('mouseenter', () => this.setHeld(notification, 'hovered', true));
+            element.addEventListener('mouseleave', () => this.setHeld(notification, 'hovered', false));
+            element.addEventListener('focusin', () => this.setHeld(notification, 'focused', true));
+            element.addEventListener('focusout', (e) => {
+                if (!element.contains(e.relatedTarget)) {
+                    this.setHeld(notification, 'focused', false);
+                }
+            });
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.hide(notification);
+                }
+            });
+
+            return element;
+        }
+
+        show(notification) {
+            announce(notification.message, notification.type === 'error' || notification.type === 'warning' ? 'assertive' : 'polite');
+
+            notification.element = this.createElement(notification);
+            notification.remaining = notification.duration;
+            this.stack.appendChild(notification.element);
+            this.visible.push(notification);
+
+            if (this.prefersReducedMotion()) {
+                notification.element.classList.add('notification--visible');
+            } else {
+                // Let the starting position render first so the slide-in transition runs
+                setTimeout(() => {
+                    if (notification.element) notification.element.classList.add('notification--visible');
+                }, 10);
+            }
+            this.resumeTimer(notification);
+        }
+
+        hide(notification) {
+            if (!this.visible.includes(notification)) {
+                // Still waiting in the queue: it never needs to appear
+                this.queue = this.queue.filter(item => item !== notification);
+                return;
+            }
+            this.removeToast(notification);
+            this.showNext();
+        }
+
+        removeToast(notification) {
+            this.visible.splice(this.visible.indexOf(notification), 1);
+            this.pauseTimer(notification);
+
+            const element = notification.element;
+            notification.element = null;
+            if (element.contains(document.activeElement) && this.historyButton) {
+                this.historyButton.focus();
+            }
+            element.classList.remove('notification--visible');
+            element.classList.add('notification--leaving');
+            setTimeout(() => element.remove(), this.prefersReducedMotion() ? 0 : NOTIFICATION_EXIT_MS);
+        }
+
+        // The timer only runs while the toast is neither hovered nor focused
+        setHeld(notification, reason, isHeld) {
+            notification[reason] = isHeld;
+            if (notification.hovered || notification.focused) {
+                this.pauseTimer(notification);
+            } else {
+                this.resumeTimer(notification);
+            }
+        }
+
+        pauseTimer(notification) {
+            if (!notification.timer) return;
+            clearTimeout(notification.timer);
+            notification.timer = null;
+            notification.remaining = Math.max(0, notification.deadline - Date.now());
+        }
+
+        resumeTimer(notification) {
+            if (notification.timer || !notification.duration || !notification.element) return;
+            notification.deadline = Date.now() + notification.remaining;
+            notification.timer = setTimeout(() => {
+                notification.timer = null;
+                this.hide(notification);
+            }, notification.remaining);
+        }
+
+        setupHistory() {
+            this.historyList = this.historyPanel.querySelector('.notification-history__list');
+            this.historyEmpty = this.historyPanel.querySelector('.notification-history__empty');
+            this.historyCount = this.historyButton.querySelector('.notification-history-btn__count');
+
+            this.historyButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setHistoryOpen(this.historyPanel.classList.contains('hidden'));
+            });
+
+            this.historyPanel.querySelector('.notification-history__clear').addEventListener('click', () => {
+                this.history = [];
+                this.renderHistory();
+                this.historyButton.focus();
+            });
+
+            this.historyPanel.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.setHistoryOpen(false);
+                    this.historyButton.focus();
+                }
+            });
+
+            // Close the panel on any click outside it
+            document.addEventListener('click', (e) => {
+                if (!this.historyPanel.classList.contains('hidden') && !this.historyPanel.contains(e.target)) {
+                    this.setHistoryOpen(false);
+                }
+            });
+
+            this.renderHistory();
+        }
+
+        setHistoryOpen(isOpen) {
+            this.historyPanel.classList.toggle('hidden', !isOpen);
+            this.historyButton.setAttribute('aria-expanded', String(isOpen));
+            if (isOpen) {
+                this.unread = 0;
+                this.renderHistory();
+            }
+        }
+
+        addToHistory(notification) {
+            this.history.unshift(notification);
+            this.history.length = Math.min(this.history.length, NOTIFICATION_HISTORY_LIMIT);
+            if (!this.historyPanel || this.historyPanel.classList.contains('hidden')) {
+                this.unread++;
+            }
+            this.renderHistory();
+        }
+
+        renderHistory() {
+            if (!this.historyList) return;
+
+            this.historyList.innerHTML = '';
+            this.history.forEach(notification => {
+                const item = document.createElement('li');
+                item.className = `notification-history__item notification-history__item--${notification.type}`;
+                item.appendChild(createDateElement(notification.createdAt, 'time', 'notification-history__time'));
+                const message = document.createElement('p');
+                message.className = 'notification-history__message';
+                message.lang = notification.lang;
+                message.textContent = notification.message;
+                item.appendChild(message);
+                this.historyList.appendChild(item);
+            });
+            this.historyEmpty.classList.toggle('hidden', this.history.length > 0);
+
+            if (this.historyCount) {
+                this.historyCount.textContent = this.unread > 0 ? languageManager.formatNumber(this.unread) : '';
+                this.historyCount.classList.toggle('hidden', this.unread === 0);
+            }
+        }
+    }
+
+    const notificationStack = document.getElementById('notification-stack');
+    const notificationCenter = notificationStack ? new NotificationCenter(notificationStack, {
+        historyButton: document.getElementById('notifications-btn'),
+        historyPanel: document.getElementById('notification-history')
+    }) : null;
+
+    function showNotification(message, type = 'info', options = {}) {
+        if (notificationCenter) {
+            return notificationCenter.notify(message, type, options);
+        }
+        announce(message, type === 'error' || type === 'warning' ? 'assertive' : 'polite');
+        return { dismiss() {} };
+    }
+
+    // Active navigation highlight based on scroll position
+    function updateActiveNavigation() {
+        const sections = document.querySelectorAll('section[id]');
+        const navLinks = document.querySelectorAll('.nav-link');
         
-        notification.textContent = message;
-        document.body.appendChild(notification);
+        let currentSection = '';
+        const scrollPosition = window.scrollY + 150;
+
+        sections.forEach(section => {
+            const sectionTop = section.offsetTop;
+            const sectionHeight = section.offsetHeight;
+            
+            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
+                currentSection = section.getAttribute('id');
+            }
+        });
+
+        navLinks.forEach(link => {
+            link.classList.remove('active');
+            if (link.getAttribute('href') === `#${currentSection}`) {
+                link.classList.add('active');
+            }
+        });
+
+        return currentSection;
+    }
+
+    // Header background change on scroll
+    const header = document.querySelector('.header');
+    if (header) {
+        window.addEventListener('scroll', function() {
+            syncSectionToUrl(updateActiveNavigation());
+
+            // Colours come from the theme tokens (.header--scrolled in style.css)
+            header.classList.toggle('header--scrolled', window.scrollY > 50);
+        });
+    }
+
+    // Initial call to set active navigation
+    updateActiveNavigation();
+
+    // Intersection Observer for scroll animations
+    const observerOptions = {
+        root: null,
+        rootMargin: '0px',
+        threshold: 0.1
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.style.opacity = '1';
+                entry.target.style.transform = 'translateY(0)';
+            }
+        });
+    }, observerOptions);
+
+    // Observe elements for animation (also used for content rendered later)
+    function observeAnimatedElements(elements) {
+        elements.forEach(el => {
+            el.style.opacity = '0';
+            el.style.transform = 'translateY(20px)';
+            el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+            observer.observe(el);
+        });
+    }
+
+    observeAnimatedElements(document.querySelectorAll('.philosophy-card, .event-card, .news-card, .leader-card, .gallery-item'));
+
+    // Data-driven Events Section
+    const eventsGrid = document.querySelector('.events-grid[data-source]');
+
+    // <time> element kept in sync by LanguageManager.updateDateElements
+    function createDateElement(value, format, className) {
+        const time = document.createElement('time');
+        if (className) {
+            time.className = className;
+        }
+        time.dateTime = value;
+        time.dataset.dateFormat = format;
+        time.textContent = languageManager.formatDate(value, format);
+        return time;
+    }
+
+    function createEventCard(event) {
+        const card = document.createElement('div');
+        card.className = 'event-card';
+        card.dataset.eventId = event.id;
+
+        const badge = document.createElement('div');
+        badge.className = 'event-date';
+        badge.appendChild(createDateElement(event.start, 'day', 'day'));
+        badge.appendChild(createDateElement(event.start, 'month', 'month'));
+
+        const content = document.createElement('div');
+        content.className = 'event-content';
+        content.appendChild(createTranslatedElement('h3', '', event.title));
+        content.appendChild(createTranslatedElement('p', '', event.description));
+
+        const timeLine = document.createElement('span');
+        timeLine.className = 'event-time';
+        timeLine.textContent = '📅 ';
+        timeLine.appendChild(createDateElement(event.start, 'long'));
+        content.appendChild(timeLine);
+
+        if (event.location) {
+            const locations = {};
+            Object.keys(event.location).forEach(lang => {
+                locations[lang] = `📍 ${event.location[lang]}`;
+            });
+            content.appendChild(createTranslatedElement('span', 'event-location', locations));
+        }
+
+        const calendarButton = createCatalogElement('button', 'btn btn--outline btn--sm event-calendar-btn', 'events.addToCalendar');
+        calendarButton.type = 'button';
+        calendarButton.addEventListener('click', () => {
+            downloadICalendar([event], `${event.id}.ics`);
+        });
+        content.appendChild(calendarButton);
+
+        card.appendChild(badge);
+        card.appendChild(content);
+        return card;
+    }
+
+    // Wall clock for time-dependent UI; tests can define window.pharmacyClubClock before load
+    // (see scripts/events.test.js)
+    const clock = window.pharmacyClubClock || { now: () => new Date() };
+
+    // Format a duration as "3 days, 4 hours, 12 minutes" with locale-aware plurals and digits
+    function formatCountdown(milliseconds, lang) {
+        const locale = languageManager.getDateLocale(lang);
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const units = [
+            ['day', Math.floor(totalSeconds / 86400)],
+            ['hour', Math.floor(totalSeconds % 86400 / 3600)],
+            ['minute', Math.floor(totalSeconds % 3600 / 60)]
+        ];
+        if (totalSeconds < 3600) {
+            units.push(['second', totalSeconds % 60]);
+        }
+
+        const nonZero = units.filter(([, value]) => value > 0);
+        const parts = (nonZero.length ? nonZero : units.slice(-1))
+            .map(([unit, value]) => new Intl.NumberFormat(locale, {
+                style: 'unit',
+                unit: unit,
+                unitDisplay: 'long'
+            }).format(value));
+
+        return new Intl.ListFormat(locale, { style: 'long', type: 'unit' }).format(parts);
+    }
+
+    // iCalendar (RFC 5545) export, built entirely in the browser so it works offline
+    function escapeICalText(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets are folded with CRLF + space, never splitting a UTF-8 character
+    function foldICalLine(line) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let current = '';
+        let currentBytes = 0;
+
+        Array.from(line).forEach(char => {
+            const charBytes = encoder.encode(char).length;
+            const limit = chunks.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                chunks.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        });
+        chunks.push(current);
+
+        return chunks.join('\r\n ');
+    }
+
+    function formatICalDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function buildICalendar(events, lang) {
+        const stamp = formatICalDate(clock.now());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Pharmacy Club//Events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeICalText(languageManager.t('events.calendarName', {}, lang))}`
+        ];
+
+        events.forEach(event => {
+            const start = new Date(event.start);
+            // Events without an end time default to one hour
+            const end = event.end ? new Date(event.end) : new Date(start.getTime() + 3600000);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.id}@pharmacy-club`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${formatICalDate(start)}`,
+                `DTEND:${formatICalDate(end)}`,
+                `SUMMARY:${escapeICalText(languageManager.localize(event.title, lang))}`,
+                `DESCRIPTION:${escapeICalText(languageManager.localize(event.description, lang))}`
+            );
+            if (event.location) {
+                lines.push(`LOCATION:${escapeICalText(languageManager.localize(event.location, lang))}`);
+            }
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICalLine).join('\r\n') + '\r\n';
+    }
+
+    function downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function downloadICalendar(events, filename) {
+        const calendar = buildICalendar(events, languageManager.getCurrentLanguage());
+        downloadFile(filename, calendar, 'text/calendar;charset=utf-8');
+    }
+
+    // Event RSVP
+    // Upcoming events with a "capacity" take RSVPs until they are full; later RSVPs join a
+    // waitlist and move up in order when someone cancels. Each attendee gets a short check-in
+    // code to show at the door. The RSVP service decides all of this: the browser only sends
+    // actions through a storage adapter chosen with data-rsvp-adapter="http|local" (and
+    // data-rsvp-endpoint) on the events grid, and gets back seat counts and the visitor's own
+    // RSVP, never anyone else's. "local" is a demo that keeps RSVPs in this browser only: its seat
+    // counts and waitlist only ever include this browser's RSVPs, so cards say so. Tests can define
+    // window.pharmacyClubRsvpStorage before load to use a mock instead.
+    // Every adapter is promise-based, and all but checkIn answer { seats, attendee }:
+    //   status(event, own)       seat counts, plus the visitor's RSVP when own ({ id, code }) is given
+    //   reserve(event, details)  a new RSVP for { name, email, language }; the service picks the
+    //                            status and the code, and answers { seats, duplicate: true } if the
+    //                            email already has one
+    //   cancel(event, own)       cancels the visitor's RSVP and moves the waitlist up
+    //   checkIn(eventId, code, passcode)
+    //                            door check-in by an officer, whose passcode the service checks;
+    //                            answers { attendee, status } where status is 'checkedIn',
+    //                            'alreadyCheckedIn', 'waitlisted' or 'notFound'
+    // seats is { capacity, confirmed, waitlisted }; an attendee is { id, status, code, position },
+    // position being their place on the waitlist. shared is false for storage nobody else sees.
+    const RSVP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+    const rsvpStorageAdapters = {
+        // Demo only: does the service's work on this device, where nobody else's RSVPs ever arrive
+        local(storageKey) {
+            const readAll = () => {
+                try {
+                    return JSON.parse(localStorage.getItem(storageKey)) || {};
+                } catch (e) {
+                    // localStorage might not be available in some environments
+                    return {};
+                }
+            };
+
+            const writeAll = all => {
+                try {
+                    localStorage.setItem(storageKey, JSON.stringify(all));
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            };
+
+            // Confirmed attendees first, then the waitlist in the order people joined
+            const getActive = attendees => attendees
+                .filter(attendee => attendee.status !== 'cancelled')
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+            const getSeats = (event, attendees) => {
+                const active = getActive(attendees);
+                const confirmed = active.filter(attendee => attendee.status === 'confirmed').length;
+                return {
+                    capacity: Number(event.capacity) || 0,
+                    confirmed: confirmed,
+                    waitlisted: active.length - confirmed
+                };
+            };
+
+            const toOwnRecord = (attendees, attendee) => ({
+                id: attendee.id,
+                status: attendee.status,
+                code: attendee.code,
+                position: attendee.status === 'waitlisted'
+                    ? getActive(attendees).filter(item => item.status === 'waitlisted').indexOf(attendee) + 1
+                    : 0
+            });
+
+            const findOwn = (attendees, own) => own ? attendees.find(attendee => attendee.id === own.id &&
+                attendee.status !== 'cancelled' &&
+                normalizeCheckInCode(attendee.code) === normalizeCheckInCode(own.code)) || null : null;
+
+            const answer = (event, attendees, attendee) => ({
+                seats: getSeats(event, attendees),
+                attendee: attendee ? toOwnRecord(attendees, attendee) : null
+            });
+
+            const save = (all, eventId, attendees) => {
+                all[eventId] = attendees;
+                return writeAll(all)
+                    ? Promise.resolve()
+                    : Promise.reject(createSubmissionError('RSVP could not be stored on this device', false));
+            };
+
+            return {
+                shared: false,
+
+                status(event, own) {
+                    const attendees = readAll()[event.id] || [];
+                    return Promise.resolve(answer(event, attendees, findOwn(attendees, own)));
+                },
+
+                reserve(event, details) {
+                    const all = readAll();
+                    const attendees = all[event.id] || [];
+                    if (getActive(attendees).some(attendee => attendee.email === details.email)) {
+                        return Promise.resolve({ seats: getSeats(event, attendees), duplicate: true });
+                    }
+
+                    const seats = getSeats(event, attendees);
+                    const codes = new Set(attendees.map(attendee => normalizeCheckInCode(attendee.code)));
+                    let code = generateCheckInCode();
+                    while (codes.has(normalizeCheckInCode(code))) {
+                        code = generateCheckInCode();
+                    }
+
+                    const createdAt = clock.now();
+                    const now = createdAt.toISOString();
+                    const attendee = {
+                        id: `${createdAt.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                        eventId: event.id,
+                        name: details.name,
+                        email: details.email,
+                        language: details.language,
+                        status: seats.capacity && seats.confirmed >= seats.capacity ? 'waitlisted' : 'confirmed',
+                        code: code,
+                        createdAt: now,
+                        updatedAt: now,
+                        checkedInAt: null
+                    };
+                    const updated = attendees.concat(attendee);
+                    return save(all, event.id, updated).then(() => answer(event, updated, attendee));
+                },
+
+                // Cancelling a confirmed seat hands it to the first person on the waitlist
+                cancel(event, own) {
+                    const all = readAll();
+                    const attendees = all[event.id] || [];
+                    const attendee = findOwn(attendees, own);
+                    if (!attendee) {
+                        return Promise.resolve(answer(event, attendees, null));
+                    }
+
+                    const now = clock.now().toISOString();
+                    const next = attendee.status === 'confirmed'
+                        ? getActive(attendees).find(item => item.status === 'waitlisted')
+                        : null;
+                    const updated = attendees.map(item => {
+                        if (item === attendee) return Object.assign({}, item, { status: 'cancelled', updatedAt: now });
+                        if (item === next) return Object.assign({}, item, { status: 'confirmed', updatedAt: now });
+                        return item;
+                    });
+                    return save(all, event.id, updated).then(() => answer(event, updated, null));
+                },
+
+                checkIn(eventId, code) {
+                    const all = readAll();
+                    const attendees = all[eventId] || [];
+                    const wanted = normalizeCheckInCode(code);
+                    const attendee = attendees.find(item => item.status !== 'cancelled' && normalizeCheckInCode(item.code) === wanted);
+                    if (!attendee) return Promise.resolve({ attendee: null, status: 'notFound' });
+                    if (attendee.status === 'waitlisted') return Promise.resolve({ attendee: attendee, status: 'waitlisted' });
+                    if (attendee.checkedInAt) return Promise.resolve({ attendee: attendee, status: 'alreadyCheckedIn' });
+
+                    const checkedIn = Object.assign({}, attendee, { checkedInAt: clock.now().toISOString() });
+                    return save(all, eventId, attendees.map(item => item === attendee ? checkedIn : item))
+                        .then(() => ({ attendee: checkedIn, status: 'checkedIn' }));
+                }
+            };
+        },
+
+        // POST <endpoint>/<action> with a JSON body ({ event, ... }); the service answers as above
+        http(endpoint) {
+            const post = (action, body, headers) => fetch(`${endpoint}/${action}`, {
+                method: 'POST',
+                headers: Object.assign({
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                }, headers),
+                body: JSON.stringify(body)
+            })
+                .catch(() => {
+                    throw createSubmissionError('Network error while contacting the RSVP service', true);
+                })
+                .then(response => {
+                    if (!response.ok) {
+                        throw createSubmissionError(`RSVP request rejected with status ${response.status}`, response.status >= 500, response.status);
+                    }
+                    return response.json();
+                });
+
+            return {
+                shared: true,
+
+                status(event, own) {
+                    return post('status', { event: event.id, attendee: own || null });
+                },
+
+                reserve(event, details) {
+                    return post('reserve', Object.assign({ event: event.id }, details));
+                },
+
+                cancel(event, own) {
+                    return post('cancel', { event: event.id, attendee: own });
+                },
+
+                checkIn(eventId, code, passcode) {
+                    return post('check-in', { event: eventId, code: code }, { 'Authorization': `Bearer ${passcode}` });
+                }
+            };
+        }
+    };
+
+    function getRsvpStorage(grid) {
+        if (window.pharmacyClubRsvpStorage) {
+            return window.pharmacyClubRsvpStorage;
+        }
+        const endpoint = grid ? grid.dataset.rsvpEndpoint : '';
+        if (grid && grid.dataset.rsvpAdapter === 'http' && endpoint) {
+            return rsvpStorageAdapters.http(endpoint);
+        }
+        return rsvpStorageAdapters.local('pharmacy-club-rsvps');
+    }
+
+    // Six characters from an alphabet without look-alikes (0/O, 1/I/L), shown as "K7Q-M3P"
+    function generateCheckInCode() {
+        const values = new Uint32Array(6);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(values);
+        } else {
+            values.forEach((value, i) => {
+                values[i] = Math.floor(Math.random() * 0xFFFFFFFF);
+            });
+        }
+        const characters = Array.from(values, value => RSVP_CODE_ALPHABET[value % RSVP_CODE_ALPHABET.length]);
+        return `${characters.slice(0, 3).join('')}-${characters.slice(3).join('')}`;
+    }
+
+    // Codes are compared without case, spaces or dashes so door staff can type them loosely
+    function normalizeCheckInCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    class RsvpManager {
+        constructor(storage, options = {}) {
+            this.storage = storage;
+            this.modal = options.modal || null;
+            this.clock = options.clock || clock;
+            this.cards = new Map();
+            this.dialogEvent = null;
+            this.confirmation = null;
+
+            if (this.modal) {
+                this.setupModal();
+            }
+
+            window.addEventListener('languageChanged', () => {
+                this.cards.forEach(entry => this.renderCard(entry));
+                if (this.confirmation) {
+                    this.renderConfirmation(this.confirmation);
+                }
+            });
+        }
+
+        // RSVPs made in this browser, as { [eventId]: { id, code, status } }; the code is what
+        // proves to the RSVP service that the RSVP is the visitor's own
+        getOwnRsvps() {
+            try {
+                return JSON.parse(localStorage.getItem('pharmacy-club-my-rsvps')) || {};
+            } catch (e) {
+                // localStorage might not be available in some environments
+                return {};
+            }
+        }
+
+        getOwnRsvp(eventId) {
+            const own = this.getOwnRsvps()[eventId];
+            return own ? { id: own.id, code: own.code } : null;
+        }
+
+        setOwnRsvp(eventId, attendee) {
+            const own = this.getOwnRsvps();
+            if (attendee) {
+                own[eventId] = { id: attendee.id, code: attendee.code, status: attendee.status };
+            } else {
+                delete own[eventId];
+            }
+            try {
+                localStorage.setItem('pharmacy-club-my-rsvps', JSON.stringify(own));
+            } catch (e) {
+                console.warn('Could not save RSVPs');
+            }
+        }
+
+        reserve(event, details) {
+            return this.storage.reserve(event, {
+                name: details.name.trim(),
+                email: details.email.trim().toLowerCase(),
+                language: languageManager.getCurrentLanguage()
+            }).then(result => {
+                if (result.attendee) {
+                    this.setOwnRsvp(event.id, result.attendee);
+                }
+                return result;
+            });
+        }
+
+        cancel(event) {
+            return this.storage.cancel(event, this.getOwnRsvp(event.id)).then(result => {
+                this.setOwnRsvp(event.id, null);
+                return result;
+            });
+        }
+
+        // Door check-in: resolves to { attendee, status } (see the adapters above)
+        checkIn(eventId, code, passcode) {
+            return this.storage.checkIn(eventId, code, passcode);
+        }
+
+        // Add the RSVP panel to an upcoming event's card and fill it from storage
+        attach(card, event) {
+            const panel = document.createElement('div');
+            panel.className = 'event-rsvp';
+            card.querySelector('.event-content').appendChild(panel);
+
+            const entry = { event: event, panel: panel, seats: null, attendee: null, failed: false };
+            this.cards.set(event.id, entry);
+            this.refresh(event.id);
+        }
+
+        // Forget the cards of a previous render
+        reset() {
+            this.cards.clear();
+        }
+
+        refresh(eventId) {
+            const entry = this.cards.get(eventId);
+            if (!entry) return Promise.resolve();
+
+            return this.storage.status(entry.event, this.getOwnRsvp(eventId))
+                .then(result => {
+                    this.update(eventId, result);
+                })
+                .catch(error => {
+                    console.warn(error);
+                    entry.failed = true;
+                    this.renderCard(entry);
+                });
+        }
+
+        // result is an adapter answer: { seats, attendee }
+        update(eventId, result) {
+            const entry = this.cards.get(eventId);
+            if (!entry) return;
+
+            const attendee = result.attendee || null;
+            entry.seats = result.seats || entry.seats;
+            entry.attendee = attendee;
+            entry.failed = false;
+
+            // Let a waitlisted visitor know when a cancellation gave them a seat
+            const own = this.getOwnRsvps()[eventId];
+            if (own && !attendee) {
+                this.setOwnRsvp(eventId, null);
+            } else if (own && attendee && own.status !== attendee.status) {
+                this.setOwnRsvp(eventId, attendee);
+                if (attendee.status === 'confirmed') {
+                    showNotification(languageManager.t('rsvp.promoted', { code: attendee.code }), 'success');
+                }
+            }
+
+            this.renderCard(entry);
+        }
+
+        createCode(code) {
+            const element = document.createElement('code');
+            element.className = 'rsvp-code';
+            element.dir = 'ltr';
+            element.textContent = code;
+            return element;
+        }
+
+        renderCard(entry) {
+            const panel = entry.panel;
+            panel.innerHTML = '';
+
+            if (entry.failed) {
+                panel.appendChild(createCatalogElement('p', 'event-rsvp__seats', 'rsvp.unavailable'));
+                return;
+            }
+            if (!entry.seats) return;
+
+            const capacity = Number(entry.seats.capacity) || 0;
+            const isFull = Boolean(capacity) && entry.seats.confirmed >= capacity;
+            const seats = document.createElement('p');
+            seats.className = 'event-rsvp__seats';
+            if (!capacity) {
+                seats.textContent = languageManager.t('rsvp.going', { count: entry.seats.confirmed });
+            } else if (!isFull) {
+                seats.textContent = languageManager.t('rsvp.seatsLeft', { left: capacity - entry.seats.confirmed, capacity: capacity });
+            } else {
+                seats.textContent = languageManager.t('rsvp.full', { count: entry.seats.waitlisted });
+            }
+            panel.appendChild(seats);
+            // Storage nobody else writes to only counts this browser's RSVPs
+            if (!this.storage.shared) {
+                panel.appendChild(createCatalogElement('p', 'event-rsvp__demo', 'rsvp.demo'));
+            }
+            panel.classList.toggle('event-rsvp--full', isFull);
+
+            const attendee = entry.attendee;
+            if (attendee) {
+                const status = document.createElement('p');
+                status.className = 'event-rsvp__status';
+                status.textContent = attendee.status === 'confirmed'
+                    ? languageManager.t('rsvp.statusConfirmed')
+                    : languageManager.t('rsvp.statusWaitlisted', { position: attendee.position });
+                panel.appendChild(status);
+
+                const code = document.createElement('p');
+                code.className = 'event-rsvp__code';
+                code.textContent = `${languageManager.t('rsvp.codeLabel')}: `;
+                code.appendChild(this.createCode(attendee.code));
+                panel.appendChild(code);
+
+                const cancelButton = createCatalogElement('button', 'btn btn--outline btn--sm', 'rsvp.cancel');
+                cancelButton.type = 'button';
+                cancelButton.addEventListener('click', () => this.cancelOwn(entry, cancelButton));
+                panel.appendChild(cancelButton);
+            } else {
+                const key = isFull ? 'rsvp.joinWaitlist' : 'rsvp.button';
+                const button = createCatalogElement('button', 'btn btn--primary btn--sm event-rsvp__button', key);
+                button.type = 'button';
+                button.addEventListener('click', () => this.openDialog(entry.event));
+                panel.appendChild(button);
+            }
+        }
+
+        cancelOwn(entry, button) {
+            button.disabled = true;
+            this.cancel(entry.event)
+                .then(result => {
+                    showNotification(languageManager.t('rsvp.cancelled'), 'success');
+                    this.update(entry.event.id, result);
+                })
+                .catch(error => {
+                    console.warn(error);
+                    button.disabled = false;
+                    showNotification(languageManager.t('rsvp.error'), 'error');
+                });
+        }
+
+        setupModal() {
+            this.dialog = new ModalDialog(this.modal, {
+                onClose: () => {
+                    this.dialogEvent = null;
+                    this.confirmation = null;
+                }
+            });
+            this.form = this.modal.querySelector('.rsvp-form');
+            this.eventName = this.modal.querySelector('.rsvp-dialog__event');
+            this.confirmationPanel = this.modal.querySelector('.rsvp-confirmation');
+
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit();
+            });
+
+            // Real-time validation, as on the membership and contact forms
+            this.form.querySelectorAll('.form-control').forEach(field => {
+                field.addEventListener('blur', function() {
+                    validateField(this);
+                });
+
+                field.addEventListener('input', function() {
+                    if (this.classList.contains('error')) {
+                        validateField(this);
+                    }
+                });
+            });
+
+            this.modal.querySelector('.rsvp-confirmation__done').addEventListener('click', () => this.dialog.close());
+        }
+
+        openDialog(event) {
+            if (!this.modal) return;
+
+            this.dialogEvent = event;
+            this.confirmation = null;
+            this.form.reset();
+            clearFormErrors(this.form);
+            syncFocusedLabels(this.form);
+            this.form.classList.remove('hidden');
+            this.confirmationPanel.classList.add('hidden');
+
+            this.eventName.innerHTML = '';
+            this.eventName.appendChild(createTranslatedElement('strong', '', event.title));
+            this.dialog.open();
+        }
+
+        submit() {
+            const event = this.dialogEvent;
+            if (!event || !validateForm(this.form)) return;
+
+            const fields = serializeForm(this.form);
+            setFormSubmitting(this.form, true);
+
+            this.reserve(event, { name: fields.name, email: fields.email })
+                .then(result => {
+                    if (result.duplicate) {
+                        this.refresh(event.id);
+                        showNotification(languageManager.t('rsvp.duplicate'), 'warning');
+                        return;
+                    }
+                    this.update(event.id, result);
+
+                    this.confirmation = { attendee: result.attendee };
+                    this.renderConfirmation(this.confirmation);
+
+                    const attendee = result.attendee;
+                    if (attendee.status === 'confirmed') {
+                        showNotification(languageManager.t('rsvp.confirmed', { code: attendee.code }), 'success');
+                    } else {
+                        showNotification(languageManager.t('rsvp.waitlisted', { position: attendee.position }), 'info');
+                    }
+
+                    this.form.classList.add('hidden');
+                    this.confirmationPanel.classList.remove('hidden');
+                    this.confirmationPanel.focus();
+                })
+                .catch(error => {
+                    console.warn(error);
+                    showNotification(languageManager.t('rsvp.error'), 'error');
+                })
+                .finally(() => {
+                    setFormSubmitting(this.form, false);
+                });
+        }
+
+        renderConfirmation(confirmation) {
+            const attendee = confirmation.attendee;
+            const status = this.confirmationPanel.querySelector('.rsvp-confirmation__status');
+            status.textContent = attendee.status === 'confirmed'
+                ? languageManager.t('rsvp.statusConfirmed')
+                : languageManager.t('rsvp.statusWaitlisted', { position: attendee.position });
+
+            const code = this.confirmationPanel.querySelector('.rsvp-confirmation__code');
+            code.innerHTML = '';
+            code.appendChild(this.createCode(attendee.code));
+        }
+    }
+
+    const rsvpManager = eventsGrid ? new RsvpManager(getRsvpStorage(eventsGrid), {
+        modal: document.getElementById('rsvp-dialog')
+    }) : null;
+
+    class EventsManager {
+        constructor(grid, options = {}) {
+            this.grid = grid;
+            this.source = grid.dataset.source;
+            this.archive = options.archive || null;
+            this.archiveGrid = this.archive ? this.archive.querySelector('.events-grid') : null;
+            this.clock = options.clock || clock;
+            this.rsvp = options.rsvp || null;
+            this.events = [];
+            this.nextEvent = null;
+            this.countdownTimer = null;
+
+            window.addEventListener('languageChanged', () => this.updateCountdown());
+            window.addEventListener('dateSettingsChanged', () => this.updateCountdown());
+        }
+
+        load() {
+            return fetch(this.source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load events: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => this.setEvents(data.events || []))
+                .catch(error => {
+                    console.warn(error);
+                    this.showError();
+                });
+        }
+
+        setEvents(events) {
+            this.events = events.slice().sort((a, b) => new Date(a.start) - new Date(b.start));
+            this.render();
+        }
+
+        // An event is past once its end (or start, if it has no end) is behind the clock
+        isPast(event, now = this.clock.now()) {
+            return new Date(event.end || event.start) <= now;
+        }
+
+        getUpcomingEvents(now = this.clock.now()) {
+            return this.events.filter(event => !this.isPast(event, now));
+        }
+
+        getPastEvents(now = this.clock.now()) {
+            return this.events.filter(event => this.isPast(event, now)).reverse();
+        }
+
+        render() {
+            const now = this.clock.now();
+            const upcoming = this.getUpcomingEvents(now);
+            const past = this.getPastEvents(now);
+
+            this.grid.innerHTML = '';
+            const cards = upcoming.map(createEventCard);
+            cards.forEach(card => this.grid.appendChild(card));
+
+            // Only upcoming events take RSVPs
+            if (this.rsvp) {
+                this.rsvp.reset();
+                cards.forEach((card, i) => this.rsvp.attach(card, upcoming[i]));
+            }
+
+            if (upcoming.length === 0) {
+                this.grid.appendChild(createCatalogElement('p', 'events-status', 'events.empty'));
+            }
+
+            if (this.archive && this.archiveGrid) {
+                this.archiveGrid.innerHTML = '';
+                past.map(createEventCard).forEach(card => {
+                    card.classList.add('event-card--past');
+                    this.archiveGrid.appendChild(card);
+                });
+                this.archive.classList.toggle('hidden', past.length === 0);
+            }
+
+            observeAnimatedElements(cards);
+
+            this.nextEvent = upcoming[0] || null;
+            this.startCountdown();
+        }
+
+        startCountdown() {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+            if (!this.nextEvent) return;
+
+            const card = this.grid.querySelector(`[data-event-id="${this.nextEvent.id}"]`);
+            if (!card) return;
+
+            card.classList.add('event-card--next');
+            this.countdownElement = document.createElement('p');
+            this.countdownElement.className = 'event-countdown';
+            card.querySelector('.event-content').appendChild(this.countdownElement);
+
+            this.updateCountdown();
+            this.countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+        }
+
+        updateCountdown() {
+            if (!this.nextEvent || !this.countdownElement) return;
+
+            const now = this.clock.now();
+            if (this.isPast(this.nextEvent, now)) {
+                // The event just finished: move it to the archive and count down to the next one
+                this.render();
+                return;
+            }
+
+            const lang = languageManager.getCurrentLanguage();
+            const start = new Date(this.nextEvent.start);
+            const remaining = start - now;
+            if (remaining <= 0) {
+                this.countdownElement.textContent = languageManager.t('events.happeningNow', {}, lang);
+            } else {
+                const duration = formatCountdown(remaining, lang);
+                this.countdownElement.textContent = languageManager.t('events.startsIn', { duration }, lang);
+            }
+        }
+
+        showError() {
+            this.grid.innerHTML = '';
+            this.grid.appendChild(createCatalogElement('p', 'events-status', 'events.error'));
+        }
+    }
+
+    const eventsManager = eventsGrid ? new EventsManager(eventsGrid, {
+        archive: document.getElementById('events-archive'),
+        rsvp: rsvpManager
+    }) : null;
+
+    // Cards are rendered once the translation catalogs are available
+    const eventsReady = eventsManager ? languageManager.ready.then(() => eventsManager.load()) : languageManager.ready;
+
+    if (eventsManager) {
+        eventsReady.then(() => setGalleryAlbumLabels(eventsManager.events || []));
+    }
+
+    if (eventsManager) {
+
+        const subscribeButton = document.getElementById('events-subscribe');
+        if (subscribeButton) {
+            subscribeButton.addEventListener('click', () => {
+                downloadICalendar(eventsManager.events, 'pharmacy-club-events.ics');
+            });
+        }
+    }
+
+    // Data-driven News Section
+    // Articles come from data/news.json, newest first. Tag chips filter the list, "Load more"
+    // pages through it, and each article opens in a dialog that deep-links as ?article=<id>.
+    const newsGrid = document.querySelector('.news-grid[data-source]');
+
+    class NewsManager {
+        constructor(grid, options = {}) {
+            this.grid = grid;
+            this.source = grid.dataset.source;
+            this.pageSize = Number(grid.dataset.pageSize) || 3;
+            this.filters = options.filters || null;
+            this.loadMoreButton = options.loadMoreButton || null;
+            this.countElement = options.countElement || null;
+            this.modal = options.modal || null;
+            this.articles = [];
+            this.tags = {};
+            this.activeTag = null;
+            this.visibleCount = this.pageSize;
+            this.openArticleId = null;
+
+            if (this.loadMoreButton) {
+                this.loadMoreButton.addEventListener('click', () => this.loadMore());
+            }
+            if (this.modal) {
+                this.setupModal();
+            }
+
+            window.addEventListener('languageChanged', () => {
+                this.updateCount();
+                if (this.isArticleOpen()) {
+                    this.renderArticle(this.getArticle(this.openArticleId));
+                }
+            });
+        }
+
+        load() {
+            return fetch(this.source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load news: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => this.setData(data))
+                .catch(error => {
+                    console.warn(error);
+                    this.showError();
+                });
+        }
+
+        setData(data) {
+            this.tags = data.tags || {};
+            this.articles = (data.articles || []).slice()
+                .sort((a, b) => languageManager.parseDate(b.date) - languageManager.parseDate(a.date));
+            this.renderFilters();
+            this.render();
+        }
+
+        getArticle(id) {
+            return this.articles.find(article => article.id === id) || null;
+        }
+
+        getFilteredArticles() {
+            if (!this.activeTag) return this.articles;
+            return this.articles.filter(article => (article.tags || []).includes(this.activeTag));
+        }
+
+        // Render an article's card, clearing the tag filter or paging further if needed
+        revealArticle(id) {
+            if (!this.getArticle(id)) return null;
+
+            if (this.activeTag && !this.getFilteredArticles().some(article => article.id === id)) {
+                this.activeTag = null;
+                this.visibleCount = this.pageSize;
+            }
+            const index = this.getFilteredArticles().findIndex(article => article.id === id);
+            this.visibleCount = Math.max(this.visibleCount, Math.ceil((index + 1) / this.pageSize) * this.pageSize);
+            this.render();
+
+            return this.grid.querySelector(`[data-article-id="${id}"]`);
+        }
+
+        setFilter(tag) {
+            this.activeTag = tag || null;
+            this.visibleCount = this.pageSize;
+            this.render();
+        }
+
+        loadMore() {
+            const firstNewIndex = this.visibleCount;
+            this.visibleCount += this.pageSize;
+            this.render();
+
+            // Keyboard users continue from the first article that was just revealed
+            const newCard = this.grid.querySelectorAll('.news-card')[firstNewIndex];
+            if (newCard) {
+                newCard.querySelector('.news-read-more').focus();
+            }
+        }
+
+        createTagBadge(tagId) {
+            const tag = this.tags[tagId];
+            if (!tag) return null;
+            return createTranslatedElement('span', `status status--${tag.status || 'info'}`, tag.label);
+        }
+
+        createTagList(article) {
+            const tagList = document.createElement('div');
+            tagList.className = 'news-tags';
+            (article.tags || []).forEach(tagId => {
+                const badge = this.createTagBadge(tagId);
+                if (badge) tagList.appendChild(badge);
+            });
+            return tagList;
+        }
+
+        createCard(article) {
+            const card = document.createElement('article');
+            card.className = 'news-card';
+            card.dataset.articleId = article.id;
+
+            const header = document.createElement('div');
+            header.className = 'news-header';
+            header.appendChild(createDateElement(article.date, 'long', 'news-date'));
+            header.appendChild(this.createTagList(article));
+
+            const title = createTranslatedElement('h3', '', article.title);
+            title.id = `news-${article.id}-title`;
+
+            const readMore = createCatalogElement('button', 'btn btn--outline btn--sm news-read-more', 'news.readMore');
+            readMore.type = 'button';
+            readMore.setAttribute('aria-describedby', title.id);
+            readMore.addEventListener('click', () => this.openArticle(article.id));
+
+            card.appendChild(header);
+            card.appendChild(title);
+            card.appendChild(createTranslatedElement('p', '', article.summary));
+            card.appendChild(readMore);
+            return card;
+        }
+
+        // One chip per tag that is actually used, plus "All"
+        renderFilters() {
+            if (!this.filters) return;
+            this.filters.innerHTML = '';
+
+            const usedTags = Object.keys(this.tags)
+                .filter(tagId => this.articles.some(article => (article.tags || []).includes(tagId)));
+
+            [null].concat(usedTags).forEach(tagId => {
+                const chip = tagId
+                    ? createTranslatedElement('button', 'news-filter', this.tags[tagId].label)
+                    : createCatalogElement('button', 'news-filter', 'news.all');
+                chip.type = 'button';
+                chip.dataset.tag = tagId || '';
+                chip.addEventListener('click', () => this.setFilter(tagId));
+                this.filters.appendChild(chip);
+            });
+        }
+
+        render() {
+            const articles = this.getFilteredArticles();
+            const visible = articles.slice(0, this.visibleCount);
+
+            this.grid.innerHTML = '';
+            const cards = visible.map(article => this.createCard(article));
+            cards.forEach(card => this.grid.appendChild(card));
+
+            if (articles.length === 0) {
+                this.grid.appendChild(createCatalogElement('p', 'news-status', 'news.empty'));
+            }
+
+            if (this.loadMoreButton) {
+                this.loadMoreButton.classList.toggle('hidden', visible.length >= articles.length);
+            }
+
+            if (this.filters) {
+                this.filters.querySelectorAll('.news-filter').forEach(chip => {
+                    chip.setAttribute('aria-pressed', (chip.dataset.tag || null) === this.activeTag ? 'true' : 'false');
+                });
+            }
+
+            observeAnimatedElements(cards);
+            this.updateCount();
+        }
+
+        updateCount() {
+            if (!this.countElement) return;
+            const total = this.getFilteredArticles().length;
+            const shown = Math.min(this.visibleCount, total);
+            this.countElement.textContent = total > 0 ? languageManager.t('news.showing', { shown, total }) : '';
+        }
+
+        showError() {
+            this.grid.innerHTML = '';
+            this.grid.appendChild(createCatalogElement('p', 'news-status', 'news.error'));
+        }
+
+        setupModal() {
+            this.dialog = new ModalDialog(this.modal, {
+                historyEntry: 'article',
+                onClose: () => {
+                    this.openArticleId = null;
+                    setUrlState({ article: null }, 'replace');
+                }
+            });
+            this.modalImage = this.modal.querySelector('.modal__image');
+            this.modalMeta = this.modal.querySelector('.modal__meta');
+            this.modalTitle = this.modal.querySelector('.modal__title');
+            this.modalBody = this.modal.querySelector('.modal__body');
+            this.modalBody.setAttribute('data-rich', '');
+
+            // In-page links in an article close it before the page scrolls to their target; the
+            // jump adds its own history entry, so the article's entry stays
+            this.modal.addEventListener('click', (e) => {
+                if (e.target.closest('a[href^="#"]')) {
+                    this.closeArticle({ inPlace: true });
+                }
+            });
+        }
+
+        isArticleOpen() {
+            return Boolean(this.dialog) && this.dialog.isOpen();
+        }
+
+        renderArticle(article) {
+            const image = article.image;
+            this.modalImage.classList.toggle('hidden', !image);
+            if (image) {
+                this.modalImage.src = image;
+                this.modalImage.alt = languageManager.localize(article.imageAlt);
+            } else {
+                this.modalImage.removeAttribute('src');
+                this.modalImage.alt = '';
+            }
+
+            this.modalMeta.innerHTML = '';
+            this.modalMeta.appendChild(createDateElement(article.date, 'long', 'news-date'));
+            this.modalMeta.appendChild(this.createTagList(article));
+
+            this.modalTitle.textContent = languageManager.localize(article.title);
+            languageManager.setElementText(this.modalBody, languageManager.localize(article.body || article.summary));
+        }
+
+        openArticle(id) {
+            const article = this.getArticle(id);
+            if (!article || !this.modal) return false;
+
+            this.openArticleId = id;
+            this.renderArticle(article);
+            this.dialog.open();
+
+            // Opening an article is a history entry, so Back closes it again
+            pushDialogEntry('article', { article: id });
+            return true;
+        }
+
+        closeArticle(options) {
+            if (this.dialog) {
+                this.dialog.close(options);
+            }
+        }
+    }
+
+    const newsManager = newsGrid ? new NewsManager(newsGrid, {
+        filters: document.querySelector('.news-filters'),
+        loadMoreButton: document.getElementById('news-load-more'),
+        countElement: document.getElementById('news-count'),
+        modal: document.getElementById('news-article')
+    }) : null;
+
+    const newsReady = newsManager ? languageManager.ready.then(() => newsManager.load()) : languageManager.ready;
+
+    // Data-driven Leadership Section
+    // data/leadership.json holds the role definitions and one roster per term. The board shown is
+    // the latest term that has started; earlier terms go into the "Past Boards" archive. Each officer
+    // opens a profile dialog, and contact topics can be routed to the current officer's inbox.
+    // Officers marked "placeholder" stand in for a seat until the board is announced: they show the
+    // role without initials and use the club inbox.
+    const leadershipGrid = document.querySelector('.leadership-grid[data-source]');
+    const ARABIC_LETTER = /[\u0600-\u06FF]/;
+    const ZWNJ = '\u200C';
+
+    // Per-language initials for an officer's avatar, e.g. { en: 'NH', ar: 'نح' }
+    function getInitials(name) {
+        const initials = {};
+        Object.keys(name || {}).forEach(code => {
+            const words = String(name[code] || '').split(/\s+/).filter(Boolean);
+            const letters = [words[0], words.length > 1 ? words[words.length - 1] : null]
+                .filter(Boolean)
+                // Skip the Arabic definite article so "الحربي" gives "ح"; a word that is only the
+                // article (e.g. "Al-") gives no letter
+                .map(word => Array.from(word.replace(/^ال(?=.{2})/, '').replace(/^Al-/i, ''))[0])
+                .filter(Boolean)
+                .map(letter => letter.toUpperCase());
+            // Arabic initials are separated by a zero-width non-joiner so they don't join into a word
+            initials[code] = letters.join(ARABIC_LETTER.test(name[code]) ? ZWNJ : '');
+        });
+        return initials;
+    }
+
+    function createAvatar(officer, className) {
+        const avatar = document.createElement('div');
+        avatar.className = className;
+        avatar.setAttribute('aria-hidden', 'true');
+        fillAvatar(avatar, officer);
+        return avatar;
+    }
+
+    // A photo when the officer has one, otherwise their initials
+    function fillAvatar(avatar, officer) {
+        avatar.innerHTML = '';
+        if (officer.photo) {
+            const photo = document.createElement('img');
+            photo.className = 'leader-photo';
+            photo.src = officer.photo;
+            photo.alt = '';
+            photo.loading = 'lazy';
+            avatar.appendChild(photo);
+        } else if (!officer.placeholder) {
+            avatar.appendChild(createTranslatedElement('span', 'leader-initials', getInitials(officer.name)));
+        }
+    }
+
+    class LeadershipManager {
+        constructor(grid, options = {}) {
+            this.grid = grid;
+            this.source = grid.dataset.source;
+            this.termElement = options.termElement || null;
+            this.archive = options.archive || null;
+            this.archiveTerms = this.archive ? this.archive.querySelector('.leadership-archive__terms') : null;
+            this.modal = options.modal || null;
+            this.roles = {};
+            this.terms = [];
+            this.openOfficer = null;
+
+            if (this.modal) {
+                this.dialog = new ModalDialog(this.modal, {
+                    onClose: () => {
+                        this.openOfficer = null;
+                    }
+                });
+            }
+
+            window.addEventListener('languageChanged', () => {
+                if (this.openOfficer) {
+                    this.renderProfile(this.openOfficer.officer, this.openOfficer.term);
+                }
+            });
+        }
+
+        load() {
+            return fetch(this.source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load leadership: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => this.setData(data))
+                .catch(error => {
+                    console.warn(error);
+                    this.showError();
+                });
+        }
+
+        setData(data) {
+            this.roles = data.roles || {};
+            this.terms = (data.terms || []).slice()
+                .sort((a, b) => languageManager.parseDate(b.start) - languageManager.parseDate(a.start));
+            this.render();
+        }
+
+        // Terms that have started, newest first; a board stays current until the next one takes office
+        getStartedTerms(now = clock.now()) {
+            return this.terms.filter(term => languageManager.parseDate(term.start) <= now);
+        }
+
+        getCurrentTerm(now = clock.now()) {
+            return this.getStartedTerms(now)[0] || null;
+        }
+
+        getPastTerms(now = clock.now()) {
+            return this.getStartedTerms(now).slice(1);
+        }
+
+        // The current officer whose "topics" include a contact-subject value, if any
+        getOfficerForTopic(topic) {
+            const term = this.getCurrentTerm();
+            if (!term || !topic) return null;
+            return term.officers.find(officer => (officer.topics || []).includes(topic)) || null;
+        }
+
+        // "2025–2026" from the term dates, following the calendar and numeral settings
+        createTermLabel(term) {
+            const label = document.createElement('span');
+            label.className = 'leadership-term__years';
+            label.appendChild(createDateElement(term.start, 'year'));
+            label.appendChild(document.createTextNode('–'));
+            label.appendChild(createDateElement(term.end, 'year'));
+            return label;
+        }
+
+        createCard(officer, term, isPast) {
+            const role = this.roles[officer.role] || {};
+            const card = document.createElement('article');
+            card.className = isPast ? 'leader-card leader-card--past' : 'leader-card';
+            card.dataset.officerId = officer.id;
+
+            const info = document.createElement('div');
+            info.className = 'leader-info';
+
+            const name = createTranslatedElement('h3', '', officer.name);
+            name.id = `leader-${term.id}-${officer.id}`;
+            info.appendChild(name);
+            info.appendChild(createTranslatedElement('p', 'leader-role', role.title));
+            if (!isPast && role.description) {
+                info.appendChild(createTranslatedElement('p', 'leader-description', role.description));
+            }
+
+            const profileButton = createCatalogElement('button', 'btn btn--outline btn--sm leader-profile-btn', 'leadership.viewProfile');
+            profileButton.type = 'button';
+            profileButton.setAttribute('aria-describedby', name.id);
+            profileButton.addEventListener('click', () => this.openProfile(officer, term));
+            info.appendChild(profileButton);
+
+            card.appendChild(createAvatar(officer, 'leader-avatar'));
+            card.appendChild(info);
+            return card;
+        }
+
+        render() {
+            const current = this.getCurrentTerm();
+            const past = this.getPastTerms();
+
+            this.grid.innerHTML = '';
+            if (!current || current.officers.length === 0) {
+                this.grid.appendChild(createCatalogElement('p', 'leadership-status', 'leadership.empty'));
+            }
+
+            const cards = current ? current.officers.map(officer => this.createCard(officer, current, false)) : [];
+            cards.forEach(card => this.grid.appendChild(card));
+
+            if (this.termElement) {
+                this.termElement.innerHTML = '';
+                if (current) {
+                    this.termElement.appendChild(createCatalogElement('span', '', 'leadership.currentBoard'));
+                    this.termElement.appendChild(document.createTextNode(' · '));
+                    this.termElement.appendChild(this.createTermLabel(current));
+                }
+                this.termElement.classList.toggle('hidden', !current);
+            }
+
+            if (this.archive && this.archiveTerms) {
+                this.archiveTerms.innerHTML = '';
+                past.forEach(term => {
+                    const group = document.createElement('div');
+                    group.className = 'leadership-archive__term';
+
+                    const heading = document.createElement('h3');
+                    heading.className = 'leadership-archive__title';
+                    heading.appendChild(this.createTermLabel(term));
+                    group.appendChild(heading);
+
+                    const grid = document.createElement('div');
+                    grid.className = 'leadership-grid leadership-grid--past';
+                    term.officers.forEach(officer => grid.appendChild(this.createCard(officer, term, true)));
+                    group.appendChild(grid);
+
+                    this.archiveTerms.appendChild(group);
+                });
+                this.archive.classList.toggle('hidden', past.length === 0);
+            }
+
+            observeAnimatedElements(cards);
+        }
+
+        showError() {
+            this.grid.innerHTML = '';
+            this.grid.appendChild(createCatalogElement('p', 'leadership-status', 'leadership.error'));
+        }
+
+        renderProfile(officer, term) {
+            const role = this.roles[officer.role] || {};
+
+            fillAvatar(this.modal.querySelector('.leader-avatar'), officer);
+            this.modal.querySelector('.modal__title').textContent = languageManager.localize(officer.name);
+
+            const roleLine = this.modal.querySelector('.leader-profile__role');
+            roleLine.innerHTML = '';
+            roleLine.appendChild(document.createTextNode(`${languageManager.localize(role.title)} · `));
+            roleLine.appendChild(this.createTermLabel(term));
+
+            const bio = this.modal.querySelector('.modal__body');
+            bio.setAttribute('data-rich', '');
+            languageManager.setElementText(bio, languageManager.localize(officer.bio || role.description));
+
+            const links = this.modal.querySelector('.leader-profile__links');
+            links.innerHTML = '';
+            if (officer.email) {
+                const email = createCatalogElement('a', 'btn btn--primary btn--sm', 'leadership.email');
+                email.href = `mailto:${officer.email}`;
+                email.title = officer.email;
+                links.appendChild(email);
+            }
+            const linkedin = sanitizeHref(officer.linkedin || '');
+            if (linkedin) {
+                const profile = createCatalogElement('a', 'btn btn--outline btn--sm', 'leadership.linkedin');
+                profile.href = linkedin;
+                profile.target = '_blank';
+                profile.rel = 'noopener noreferrer';
+                links.appendChild(profile);
+            }
+        }
+
+        openProfile(officer, term) {
+            if (!this.dialog) return;
+            this.openOfficer = { officer, term };
+            this.renderProfile(officer, term);
+            this.dialog.open();
+        }
+    }
+
+    const leadershipManager = leadershipGrid ? new LeadershipManager(leadershipGrid, {
+        termElement: document.getElementById('leadership-term'),
+        archive: document.getElementById('leadership-archive'),
+        modal: document.getElementById('leader-profile')
+    }) : null;
+
+    const leadershipReady = leadershipManager ? languageManager.ready.then(() => leadershipManager.load()) : languageManager.ready;
+
+    // Bilingual Content Editor
+    // Edit mode (opened from the officer area) adds an "Edit this section" button to the events,
+    // news, leadership and gallery sections. The panel shows every registered language of each
+    // text side by side, re-renders the section as you type, and can preview the page in any
+    // language (RTL included) through LanguageManager.applyLanguage. Nothing is saved online:
+    // "Export" downloads the section's data file (the one in its data-source) to replace on the
+    // site. Texts with a language left empty are flagged, and exporting them needs a second click.
+
+    // One editable text: owner[key] is a content object such as { en: '...', ar: '...' }
+    function contentField(owner, key, label, options = {}) {
+        return Object.assign({ owner, key, label }, options);
+    }
+
+    const CONTENT_SECTIONS = {
+        events: {
+            label: 'nav.events',
+            grid: eventsGrid,
+            getItems: data => (data.events || []).map(event => ({
+                id: event.id,
+                heading: event.title,
+                fields: [
+                    contentField(event, 'title', 'editor.fieldTitle'),
+                    contentField(event, 'description', 'editor.fieldDescription', { multiline: true }),
+                    contentField(event, 'location', 'editor.fieldLocation')
+                ]
+            })),
+            apply: data => {
+                eventsManager.setEvents(data.events || []);
+                setGalleryAlbumLabels(data.events || []);
+            }
+        },
+        news: {
+            label: 'nav.news',
+            grid: newsGrid,
+            getItems: data => {
+                const tags = data.tags || {};
+                return Object.keys(tags).map(id => ({
+                    id,
+                    heading: tags[id].label,
+                    fields: [contentField(tags[id], 'label', 'editor.fieldTag')]
+                })).concat((data.articles || []).map(article => ({
+                    id: article.id,
+                    heading: article.title,
+                    fields: [
+                        contentField(article, 'title', 'editor.fieldTitle'),
+                        contentField(article, 'summary', 'editor.fieldSummary', { multiline: true }),
+                        contentField(article, 'body', 'editor.fieldBody', { multiline: true, rich: true }),
+                        article.image ? contentField(article, 'imageAlt', 'editor.fieldImageAlt') : null
+                    ].filter(Boolean)
+                })));
+            },
+            apply: data => newsManager.setData(data)
+        },
+        leadership: {
+            label: 'nav.leadership',
+            grid: leadershipGrid,
+            getItems: data => {
+                const roles = data.roles || {};
+                const items = Object.keys(roles).map(id => ({
+                    id,
+                    heading: roles[id].title,
+                    fields: [
+                        contentField(roles[id], 'title', 'editor.fieldRole'),
+                        contentField(roles[id], 'description', 'editor.fieldDescription', { multiline: true })
+                    ]
+                }));
+                (data.terms || []).forEach(term => {
+                    (term.officers || []).forEach(officer => {
+                        items.push({
+                            id: `${term.id}/${officer.id}`,
+                            heading: officer.name,
+                            term: term.id,
+                            fields: [
+                                // Naming a placeholder seat makes it a real officer
+                                contentField(officer, 'name', 'editor.fieldName', {
+                                    onEdit: () => delete officer.placeholder
+                                }),
+                                contentField(officer, 'bio', 'editor.fieldBio', { multiline: true, rich: true })
+                            ]
+                        });
+                    });
+                });
+                return items;
+            },
+            apply: data => leadershipManager.setData(data)
+        },
+        gallery: {
+            label: 'nav.gallery',
+            grid: galleryGrid,
+            getItems: data => (data.photos || []).map(photo => ({
+                id: photo.id,
+                heading: photo.caption,
+                fields: [contentField(photo, 'caption', 'editor.fieldCaption')]
+            })),
+            apply: data => applyGalleryCaptions(data.photos || [])
+        }
+    };
+
+    function cloneContent(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    // Copy of a content file without blank translations, so they fall back like missing ones
+    function cleanContent(node) {
+        if (Array.isArray(node)) return node.map(cleanContent);
+        if (!node || typeof node !== 'object') return node;
+
+        const keys = Object.keys(node);
+        const isContentObject = keys.length > 0 && keys.every(key => languageManager.resolveLanguage(key));
+        const result = {};
+        keys.forEach(key => {
+            if (!isContentObject) {
+                result[key] = cleanContent(node[key]);
+            } else if (typeof node[key] === 'string' && node[key].trim() !== '') {
+                result[key] = node[key];
+            }
+        });
+        return result;
+    }
+
+    class ContentEditor {
+        constructor(panel) {
+            this.panel = panel;
+            this.sectionKey = null;
+            this.data = null;
+            this.originals = {};
+            this.drafts = {};
+            this.unexported = new Set();
+            this.fields = [];
+            this.items = [];
+            this.previewLang = null;
+            this.exportWarned = false;
+            this.exitWarned = false;
+            this.applyTimer = null;
+            this.returnFocus = null;
+
+            this.hint = panel.querySelector('.content-editor__hint');
+            this.sectionPanel = panel.querySelector('.content-editor__section');
+            this.title = panel.querySelector('.content-editor__section-title');
+            this.previewGroup = panel.querySelector('.content-editor__preview');
+            this.summary = panel.querySelector('.content-editor__summary');
+            this.itemsElement = panel.querySelector('.content-editor__items');
+            this.note = panel.querySelector('.content-editor__note');
+
+            panel.querySelector('.content-editor__exit').addEventListener('click', () => this.disable());
+            panel.querySelector('.content-editor__export').addEventListener('click', () => this.export());
+
+            Object.keys(CONTENT_SECTIONS)
+                .filter(key => CONTENT_SECTIONS[key].grid)
+                .forEach(key => this.createEditButton(key));
+
+            // A real language switch replaces any preview
+            window.addEventListener('languageChanged', () => {
+                this.previewLang = null;
+                if (this.sectionKey) {
+                    this.updatePreviewButtons();
+                    this.updateWarnings();
+                }
+            });
+        }
+
+        createEditButton(key) {
+            const section = CONTENT_SECTIONS[key].grid.closest('section');
+            if (!section) return;
+
+            const button = createCatalogElement('button', 'btn btn--outline btn--sm content-edit-btn', 'editor.editSection');
+            button.type = 'button';
+            button.addEventListener('click', () => this.openSection(key));
+
+            const heading = section.querySelector('.section-title');
+            if (heading) {
+                heading.id = heading.id || `${section.id}-title`;
+                button.setAttribute('aria-describedby', heading.id);
+                heading.after(button);
+            } else {
+                section.prepend(button);
+            }
+        }
+
+        isEnabled() {
+            return document.body.classList.contains('is-editing');
+        }
+
+        enable() {
+            if (!this.isEnabled()) {
+                this.returnFocus = document.activeElement;
+            }
+            document.body.classList.add('is-editing');
+            this.panel.classList.remove('hidden');
+            this.panel.focus();
+        }
+
+        // Leaving puts back the content as loaded; edits only leave the browser through export
+        disable() {
+            if (this.unexported.size > 0 && !this.exitWarned) {
+                this.exitWarned = true;
+                showNotification(languageManager.t('editor.unexported'), 'warning');
+                return;
+            }
+
+            clearTimeout(this.applyTimer);
+            this.endPreview();
+            Object.keys(this.drafts)
+                .filter(key => JSON.stringify(this.drafts[key]) !== JSON.stringify(this.originals[key]))
+                .forEach(key => CONTENT_SECTIONS[key].apply(cloneContent(this.originals[key])));
+            this.closeSection();
+            this.drafts = {};
+            this.unexported.clear();
+            this.exitWarned = false;
+
+            document.body.classList.remove('is-editing');
+            this.panel.classList.add('hidden');
+            if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+        }
+
+        // The working copy of a section's data file, fetched the first time it is edited
+        loadSection(key) {
+            if (this.drafts[key]) {
+                return Promise.resolve(this.drafts[key]);
+            }
+            return fetch(CONTENT_SECTIONS[key].grid.dataset.source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load ${key} content: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.originals[key] = data;
+                    this.drafts[key] = cloneContent(data);
+                    return this.drafts[key];
+                });
+        }
+
+        openSection(key) {
+            this.applyChanges();
+            return this.loadSection(key)
+                .then(data => {
+                    this.closeSection();
+                    this.sectionKey = key;
+                    this.data = data;
+                    this.exportWarned = false;
+
+                    CONTENT_SECTIONS[key].grid.closest('section').classList.add('is-edited');
+                    this.title.setAttribute('data-i18n', CONTENT_SECTIONS[key].label);
+                    this.title.textContent = languageManager.t(CONTENT_SECTIONS[key].label, {}, this.getLanguage());
+                    this.renderPreviewButtons();
+                    this.renderItems();
+                    this.note.classList.add('hidden');
+                    this.hint.classList.add('hidden');
+                    this.sectionPanel.classList.remove('hidden');
+                    this.title.focus();
+                })
+                .catch(error => {
+                    console.warn(error);
+                    showNotification(languageManager.t('editor.loadError'), 'error');
+                });
+        }
+
+        closeSection() {
+            if (this.sectionKey) {
+                CONTENT_SECTIONS[this.sectionKey].grid.closest('section').classList.remove('is-edited');
+            }
+            this.sectionKey = null;
+            this.data = null;
+            this.fields = [];
+            this.items = [];
+            this.itemsElement.innerHTML = '';
+            this.sectionPanel.classList.add('hidden');
+            this.hint.classList.remove('hidden');
+        }
+
+        // Editor text follows the previewed language along with the rest of the page
+        getLanguage() {
+            return this.previewLang || languageManager.getCurrentLanguage();
+        }
+
+        renderItems() {
+            this.itemsElement.innerHTML = '';
+            this.fields = [];
+            this.items = [];
+
+            CONTENT_SECTIONS[this.sectionKey].getItems(this.data).forEach((item, index) => {
+                const fieldset = document.createElement('fieldset');
+                fieldset.className = 'content-editor__item';
+                const legend = document.createElement('legend');
+                legend.className = 'content-editor__item-title';
+                fieldset.appendChild(legend);
+                this.items.push({ item, legend });
+
+                item.fields.forEach(field => {
+                    fieldset.appendChild(this.createField(field, `content-${this.sectionKey}-${index}-${field.key}`));
+                });
+                this.itemsElement.appendChild(fieldset);
+            });
+
+            this.updateWarnings();
+        }
+
+        // One input per registered language, each typed in its own direction
+        createField(field, idPrefix) {
+            const group = document.createElement('div');
+            group.className = 'content-editor__field';
+            group.setAttribute('role', 'group');
+
+            const label = createCatalogElement('p', 'content-editor__label', field.label);
+            label.id = `${idPrefix}-label`;
+            group.setAttribute('aria-labelledby', label.id);
+            group.appendChild(label);
+
+            const languages = document.createElement('div');
+            languages.className = 'content-editor__languages';
+
+            languageManager.getLocales().forEach(locale => {
+                const id = `${idPrefix}-${locale.code}`;
+                const wrapper = document.createElement('div');
+                wrapper.className = 'content-editor__language';
+
+                const languageLabel = document.createElement('label');
+                languageLabel.className = 'form-label';
+                languageLabel.htmlFor = id;
+                languageLabel.lang = locale.code;
+                languageLabel.textContent = locale.name;
+
+                const input = document.createElement(field.multiline ? 'textarea' : 'input');
+                if (field.multiline) {
+                    input.rows = field.rich ? 6 : 3;
+                } else {
+                    input.type = 'text';
+                }
+                input.id = id;
+                input.className = 'form-control';
+                input.lang = locale.code;
+                input.dir = locale.dir || 'ltr';
+                input.value = (field.owner[field.key] || {})[locale.code] || '';
+                input.addEventListener('input', () => this.setValue(field, locale.code, input.value));
+
+                const warning = document.createElement('p');
+                warning.className = 'content-editor__warning hidden';
+                warning.id = `${id}-warning`;
+                input.setAttribute('aria-describedby', warning.id);
+
+                wrapper.appendChild(languageLabel);
+                wrapper.appendChild(input);
+                wrapper.appendChild(warning);
+                languages.appendChild(wrapper);
+                this.fields.push({ field, code: locale.code, input, warning });
+            });
+
+            group.appendChild(languages);
+            if (field.rich) {
+                group.appendChild(createCatalogElement('p', 'content-editor__format', 'editor.richHint'));
+            }
+            return group;
+        }
+
+        setValue(field, code, value) {
+            if (!field.owner[field.key]) {
+                field.owner[field.key] = {};
+            }
+            field.owner[field.key][code] = value;
+            if (field.onEdit) {
+                field.onEdit();
+            }
+
+            this.unexported.add(this.sectionKey);
+            this.exportWarned = false;
+            this.exitWarned = false;
+            this.updateWarnings();
+
+            clearTimeout(this.applyTimer);
+            this.applyTimer = setTimeout(() => this.applyChanges(), 300);
+        }
+
+        // Re-render the section from the working copy, keeping any preview language
+        applyChanges() {
+            clearTimeout(this.applyTimer);
+            this.applyTimer = null;
+            if (!this.sectionKey || !this.unexported.has(this.sectionKey)) return;
+
+            CONTENT_SECTIONS[this.sectionKey].apply(cleanContent(this.data));
+            if (this.previewLang) {
+                languageManager.applyLanguage(this.previewLang);
+            }
+        }
+
+        isMissing({ field, code }) {
+            const content = field.owner[field.key] || {};
+            return typeof content[code] !== 'string' || content[code].trim() === '';
+        }
+
+        getMissingFields() {
+            return this.fields.filter(entry => this.isMissing(entry));
+        }
+
+        updateWarnings() {
+            const lang = this.getLanguage();
+
+            this.items.forEach(({ item, legend }) => {
+                const heading = languageManager.localize(item.heading, lang) || item.id;
+                legend.textContent = item.term ? `${heading} (${item.term})` : heading;
+            });
+
+            this.fields.forEach(entry => {
+                const missing = this.isMissing(entry);
+                entry.input.setAttribute('aria-invalid', String(missing));
+                entry.warning.classList.toggle('hidden', !missing);
+                entry.warning.textContent = missing
+                    ? languageManager.t('editor.missing', { language: languageManager.getLocale(entry.code).name }, lang)
+                    : '';
+            });
+
+            const count = this.getMissingFields().length;
+            this.summary.textContent = count > 0
+                ? languageManager.t('editor.missingCount', { count }, lang)
+                : languageManager.t('editor.complete', {}, lang);
+            this.summary.classList.toggle('content-editor__summary--warning', count > 0);
+        }
+
+        renderPreviewButtons() {
+            this.previewGroup.innerHTML = '';
+            languageManager.getLocales().forEach(locale => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'news-filter content-editor__preview-btn';
+                button.dataset.lang = locale.code;
+                button.lang = locale.code;
+                button.textContent = locale.name;
+                button.addEventListener('click', () => this.preview(locale.code));
+                this.previewGroup.appendChild(button);
+            });
+            this.updatePreviewButtons();
+        }
+
+        updatePreviewButtons() {
+            const lang = this.getLanguage();
+            this.previewGroup.querySelectorAll('.content-editor__preview-btn').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.lang === lang));
+            });
+        }
+
+        // Show the page in another language without changing the visitor's saved choice
+        preview(code) {
+            this.applyChanges();
+            return languageManager.loadCatalogs(code).then(() => {
+                this.previewLang = code === languageManager.getCurrentLanguage() ? null : code;
+                languageManager.applyLanguage(code);
+                this.updatePreviewButtons();
+                this.updateWarnings();
+            });
+        }
+
+        endPreview() {
+            if (!this.previewLang) return;
+            this.previewLang = null;
+            languageManager.applyLanguage(languageManager.getCurrentLanguage());
+        }
+
+        export() {
+            if (!this.sectionKey) return;
+            this.applyChanges();
+
+            const missing = this.getMissingFields();
+            if (missing.length > 0 && !this.exportWarned) {
+                this.exportWarned = true;
+                showNotification(languageManager.t('editor.exportMissing', { count: missing.length }), 'warning');
+                missing[0].input.focus();
+                return;
+            }
+
+            const source = CONTENT_SECTIONS[this.sectionKey].grid.dataset.source;
+            const json = `${JSON.stringify(cleanContent(this.data), null, 2)}\n`;
+            downloadFile(source.split('/').pop(), json, 'application/json;charset=utf-8');
+
+            this.unexported.delete(this.sectionKey);
+            this.exportWarned = false;
+            this.note.textContent = languageManager.t('editor.exported', { file: source }, this.getLanguage());
+            this.note.classList.remove('hidden');
+        }
+    }
+
+    const contentEditorPanel = document.getElementById('content-editor');
+    const contentEditor = contentEditorPanel ? new ContentEditor(contentEditorPanel) : null;
+
+    // Officer Admin View
+    // A dialog (opened from the footer) where officers review membership applications and contact
+    // messages, filter them, mark them approved or handled, export them to CSV and check attendees
+    // in at the door. Submissions only come together on the club's submissions service, chosen
+    // with data-storage="http" and data-endpoint. The passcode is sent to that service as a bearer
+    // token on every request and the service alone decides whether it is right, so nothing in the
+    // page can give it away. data-storage="local" is a demo that lists the submissions made in this
+    // browser, with no passcode since nothing leaves the device. Tests can define
+    // window.pharmacyClubAdminStorage before load to use a mock instead. With no storage at all the
+    // dialog only offers the content editor.
+    // Every adapter is promise-based: list() resolves to submission records and
+    // update(id, changes) stores a change such as { status: 'approved' }. A wrong passcode rejects
+    // with status 401 or 403. shared is false for storage nobody else sees.
+    const adminStorageAdapters = {
+        // Demo only: the submissions queued on this device, where nobody else's ever arrive
+        local() {
+            const toRecord = entry => Object.assign({}, entry.payload, {
+                id: entry.id,
+                status: entry.status || 'new'
+            });
+
+            return {
+                shared: false,
+
+                list() {
+                    return Promise.resolve(submissionQueue.getAll().filter(entry => entry.payload).map(toRecord));
+                },
+
+                update(id, changes) {
+                    const entry = submissionQueue.getAll().find(item => item.id === id);
+                    if (!entry) {
+                        return Promise.reject(new Error(`Unknown submission ${id}`));
+                    }
+                    if (!submissionQueue.update(id, changes)) {
+                        return Promise.reject(createSubmissionError('Submission could not be updated on this device', false));
+                    }
+                    return Promise.resolve(toRecord(Object.assign({}, entry, changes)));
+                }
+            };
+        },
+
+        // GET <endpoint> answers { submissions: [...] }; PATCH <endpoint>/<id> updates one submission
+        http(endpoint, passcode) {
+            const request = (url, options = {}) => fetch(url, Object.assign({}, options, {
+                headers: Object.assign({
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${passcode}`
+                }, options.headers)
+            }))
+                .catch(() => {
+                    throw createSubmissionError('Network error while contacting the submissions service', true);
+                })
+                .then(response => {
+                    if (!response.ok) {
+                        throw createSubmissionError(`Submissions request rejected with status ${response.status}`, response.status >= 500, response.status);
+                    }
+                    return response.json();
+                });
+
+            return {
+                shared: true,
+
+                list() {
+                    return request(endpoint).then(data => data.submissions || []);
+                },
+
+                update(id, changes) {
+                    return request(`${endpoint}/${encodeURIComponent(id)}`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(changes)
+                    });
+                }
+            };
+        }
+    };
+
+    // The two kinds of submission the admin view works with. Filter options and value labels come
+    // from the public forms themselves, so they stay translated and in sync with the markup.
+    const ADMIN_COLLECTIONS = {
+        membership: {
+            form: 'membership-form',
+            filterField: 'year',
+            filterLabel: 'forms.yearLevel',
+            doneStatus: 'approved',
+            doneAction: 'admin.approve',
+            columns: [
+                { key: 'forms.fullName', field: 'name' },
+                { key: 'forms.email', field: 'email' },
+                { key: 'forms.studentId', field: 'studentId' },
+                { key: 'forms.phone', field: 'phone' },
+                { key: 'forms.yearLevel', field: 'year' },
+                { key: 'admin.colInterests', field: 'interests' }
+            ]
+        },
+        contact: {
+            form: 'contact-form',
+            filterField: 'subject',
+            filterLabel: 'forms.subject',
+            doneStatus: 'handled',
+            doneAction: 'admin.markHandled',
+            columns: [
+                { key: 'forms.name', field: 'name' },
+                { key: 'forms.email', field: 'email' },
+                { key: 'forms.subject', field: 'subject' },
+                { key: 'forms.message', field: 'message' }
+            ]
+        }
+    };
+
+    // The text a form shows for a stored value: a select's option, a checkbox's label, or the value itself
+    function getFieldValueLabel(form, name, value) {
+        if (!form || value === undefined || value === null || value === '') return value || '';
+        if (Array.isArray(value)) {
+            const locale = languageManager.getDateLocale(languageManager.getCurrentLanguage());
+            return new Intl.ListFormat(locale, { type: 'conjunction' }).format(value.map(item => getFieldValueLabel(form, name, item)));
+        }
+
+        const field = form.elements[name];
+        if (field && field.tagName === 'SELECT') {
+            const option = Array.from(field.options).find(item => item.value === value);
+            return option ? option.textContent.trim() : value;
+        }
+        // Compared in code rather than in a selector, since stored values are user input
+        const choice = Array.from(form.querySelectorAll('input[type="checkbox"]'))
+            .find(input => input.name === name && input.value === value);
+        const label = choice ? choice.closest('label') : null;
+        return label ? label.textContent.trim() : String(value);
+    }
+
+    // RFC 4180 CSV starting with a UTF-8 byte order mark, so Excel picks the right encoding and Arabic
+    // names open correctly. Cells starting with = + - @ get a leading ' so they are never run as formulas.
+    function toCsvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function buildCsv(rows) {
+        return '\uFEFF' + rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    class AdminManager {
+        constructor(modal, options = {}) {
+            this.modal = modal;
+            this.rsvp = options.rsvp || null;
+            this.events = options.events || null;
+            this.editor = options.editor || null;
+            this.storage = null;
+            this.passcode = '';
+            this.mode = 'none';
+            this.records = [];
+            this.collection = 'membership';
+            this.filter = '';
+            this.status = '';
+
+            this.dialog = new ModalDialog(modal);
+            this.gate = modal.querySelector('.admin-gate');
+            this.workspace = modal.querySelector('.admin-workspace');
+            this.tabs = Array.from(modal.querySelectorAll('.admin-tab'));
+            this.filterSelect = modal.querySelector('#admin-filter');
+            this.filterLabel = modal.querySelector('label[for="admin-filter"]');
+            this.statusSelect = modal.querySelector('#admin-status');
+            this.countElement = modal.querySelector('.admin-count');
+            this.table = modal.querySelector('.admin-table');
+            this.checkinForm = modal.querySelector('.admin-checkin');
+            this.editButton = modal.querySelector('.admin-edit-content');
+
+            this.gate.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.unlock(this.gate.querySelector('#admin-passcode').value);
+            });
+            this.tabs.forEach(tab => {
+                tab.addEventListener('click', () => this.setCollection(tab.dataset.collection));
+            });
+            this.filterSelect.addEventListener('change', () => {
+                this.filter = this.filterSelect.value;
+                this.render();
+            });
+            this.statusSelect.addEventListener('change', () => {
+                this.status = this.statusSelect.value;
+                this.render();
+            });
+            modal.querySelector('.admin-export').addEventListener('click', () => this.exportCsv());
+            modal.querySelector('.admin-lock').addEventListener('click', () => this.lock());
+
+            // The content editor works on the page itself, so the dialog steps aside for it
+            if (this.editButton && this.editor) {
+                this.editButton.addEventListener('click', () => {
+                    this.dialog.close();
+                    this.editor.enable();
+                });
+            } else if (this.editButton) {
+                this.editButton.classList.add('hidden');
+            }
+            if (this.checkinForm) {
+                this.checkinForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.checkIn();
+                });
+            }
+
+            // Only a shared service has anything to guard: the local demo and the editor-only view
+            // open straight away, and there is nothing to lock. Check-in at a shared RSVP service
+            // needs the passcode a shared submissions service was unlocked with.
+            const probe = this.getStorage('');
+            const isShared = Boolean(probe && probe.shared);
+            if (probe) {
+                this.mode = isShared ? 'service' : 'demo';
+            }
+            modal.querySelectorAll('[data-admin-service]').forEach(element => {
+                element.classList.toggle('hidden', !probe);
+            });
+            modal.querySelector('.admin-lock').classList.toggle('hidden', !isShared);
+            modal.querySelector('.admin-demo').classList.toggle('hidden', !probe || isShared);
+            modal.querySelector('.admin-no-service').classList.toggle('hidden', Boolean(probe));
+            if (this.checkinForm) {
+                const canCheckIn = Boolean(probe && this.rsvp) && (isShared || !this.rsvp.storage.shared);
+                this.checkinForm.classList.toggle('hidden', !canCheckIn);
+            }
+            this.gate.classList.toggle('hidden', !isShared);
+            this.workspace.classList.toggle('hidden', isShared);
+            if (this.mode === 'demo') {
+                this.storage = probe;
+            }
+
+            window.addEventListener('languageChanged', () => {
+                if (this.isUnlocked()) {
+                    this.renderFilters();
+                    this.render();
+                    this.renderCheckinEvents();
+                }
+            });
+        }
+
+        open() {
+            this.dialog.open();
+            if (this.mode === 'demo') {
+                // The demo re-reads this device's queue, which changes whenever a form is sent
+                this.renderFilters();
+                this.renderCheckinEvents();
+                this.load();
+                this.tabs[0].focus();
+            } else if (this.mode === 'none') {
+                if (this.editor) this.editButton.focus();
+            } else if (!this.isUnlocked()) {
+                this.gate.querySelector('#admin-passcode').focus();
+            }
+        }
+
+        isUnlocked() {
+            return this.storage !== null;
+        }
+
+        // The storage chosen with data-storage (or the test hook), or null when none is configured
+        getStorage(passcode) {
+            if (window.pharmacyClubAdminStorage) {
+                return window.pharmacyClubAdminStorage;
+            }
+            const type = this.modal.dataset.storage;
+            if (type === 'http' && this.modal.dataset.endpoint) {
+                return adminStorageAdapters.http(this.modal.dataset.endpoint, passcode);
+            }
+            return type === 'local' ? adminStorageAdapters.local() : null;
+        }
+
+        // 401/403 from the service: it did not accept the passcode
+        isRejected(error) {
+            return error.status === 401 || error.status === 403;
+        }
+
+        unlock(passcode) {
+            const field = this.gate.querySelector('#admin-passcode');
+            if (!validateForm(this.gate)) return;
+
+            const showGateError = (key) => {
+                field.classList.add('error');
+                field.setAttribute('aria-invalid', 'true');
+                showNotification(languageManager.t(key), 'error');
+                field.focus();
+            };
+
+            // The workspace only opens once the service has accepted the passcode and sent its records
+            const storage = this.getStorage(passcode);
+            setFormSubmitting(this.gate, true);
+            storage.list()
+                .then(records => {
+                    this.storage = storage;
+                    this.passcode = passcode;
+                    this.gate.reset();
+                    clearFormErrors(this.gate);
+                    this.gate.classList.add('hidden');
+                    this.workspace.classList.remove('hidden');
+                    this.setRecords(records);
+                    this.renderFilters();
+                    this.render();
+                    this.renderCheckinEvents();
+                    this.tabs[0].focus();
+                })
+                .catch(error => {
+                    console.warn(error);
+                    showGateError(this.isRejected(error) ? 'admin.wrongPasscode' : 'admin.unavailable');
+                })
+                .finally(() => {
+                    setFormSubmitting(this.gate, false);
+                });
+        }
+
+        lock() {
+            this.storage = null;
+            this.passcode = '';
+            this.records = [];
+            this.table.tBodies[0].innerHTML = '';
+            this.workspace.classList.add('hidden');
+            this.gate.classList.remove('hidden');
+            this.gate.querySelector('#admin-passcode').focus();
+        }
+
+        setRecords(records) {
+            this.records = records.slice().sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+        }
 
-        // Animate in
-        setTimeout(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateX(0)';
-        }, 10);
+        load() {
+            return this.storage.list()
+                .then(records => {
+                    this.setRecords(records);
+                    this.render();
+                })
+                .catch(error => {
+                    console.warn(error);
+                    this.records = [];
+                    this.render();
+                    showNotification(languageManager.t('admin.loadError'), 'error');
+                });
+        }
+
+        // A passcode changed on the service while the view was open locks it again
+        handleRejection(error) {
+            if (!this.isRejected(error)) return false;
+            this.lock();
+            showNotification(languageManager.t('admin.wrongPasscode'), 'error');
+            return true;
+        }
+
+        getConfig() {
+            return ADMIN_COLLECTIONS[this.collection];
+        }
+
+        getForm() {
+            return document.getElementById(this.getConfig().form);
+        }
+
+        setCollection(collection) {
+            if (!ADMIN_COLLECTIONS[collection]) return;
+            this.collection = collection;
+            this.filter = '';
+            this.status = '';
+            this.renderFilters();
+            this.render();
+        }
+
+        // The filter lists the options of the public form's own select (#year-level / #contact-subject)
+        renderFilters() {
+            const config = this.getConfig();
+            const form = this.getForm();
+            const source = form ? form.elements[config.filterField] : null;
+
+            this.tabs.forEach(tab => {
+                tab.setAttribute('aria-pressed', tab.dataset.collection === this.collection ? 'true' : 'false');
+            });
+
+            this.filterLabel.setAttribute('data-i18n', config.filterLabel);
+            this.filterLabel.textContent = languageManager.t(config.filterLabel);
+
+            this.filterSelect.innerHTML = '';
+            const all = document.createElement('option');
+            all.value = '';
+            all.textContent = languageManager.t('admin.statusAll');
+            this.filterSelect.appendChild(all);
+            if (source && source.options) {
+                Array.from(source.options).filter(option => option.value).forEach(option => {
+                    const copy = document.createElement('option');
+                    copy.value = option.value;
+                    copy.textContent = option.textContent.trim();
+                    this.filterSelect.appendChild(copy);
+                });
+            }
+            this.filterSelect.value = this.filter;
+
+            const done = this.statusSelect.querySelector('option[value="done"]');
+            const doneKey = config.doneStatus === 'approved' ? 'admin.statusApproved' : 'admin.statusHandled';
+            done.setAttribute('data-i18n', doneKey);
+            done.textContent = languageManager.t(doneKey);
+            this.statusSelect.value = this.status;
+        }
+
+        getCollectionRecords() {
+            const formId = this.getConfig().form;
+            return this.records.filter(record => record.form === formId);
+        }
+
+        getFilteredRecords() {
+            const config = this.getConfig();
+            return this.getCollectionRecords().filter(record => {
+                const fields = record.fields || {};
+                if (this.filter && fields[config.filterField] !== this.filter) return false;
+                if (this.status === 'new') return record.status !== config.doneStatus;
+                if (this.status === 'done') return record.status === config.doneStatus;
+                return true;
+            });
+        }
+
+        getStatusLabel(record) {
+            if (record.status === 'approved') return languageManager.t('admin.statusApproved');
+            if (record.status === 'handled') return languageManager.t('admin.statusHandled');
+            return languageManager.t('admin.statusNew');
+        }
+
+        render() {
+            const config = this.getConfig();
+            const form = this.getForm();
+            const records = this.getFilteredRecords();
+
+            const headRow = this.table.tHead.rows[0];
+            headRow.innerHTML = '';
+            ['admin.colSubmitted'].concat(config.columns.map(column => column.key), ['admin.colStatus', 'admin.colActions']).forEach(key => {
+                const cell = createCatalogElement('th', '', key);
+                cell.scope = 'col';
+                headRow.appendChild(cell);
+            });
+
+            const body = this.table.tBodies[0];
+            body.innerHTML = '';
+            records.forEach(record => {
+                const fields = record.fields || {};
+                const row = document.createElement('tr');
+                row.dataset.submissionId = record.id;
+                row.classList.toggle('is-done', record.status === config.doneStatus);
+
+                const submitted = document.createElement('td');
+                if (record.submittedAt) {
+                    submitted.appendChild(createDateElement(record.submittedAt, 'long'));
+                }
+                row.appendChild(submitted);
+
+                config.columns.forEach(column => {
+                    const cell = document.createElement('td');
+                    cell.textContent = getFieldValueLabel(form, column.field, fields[column.field]);
+                    row.appendChild(cell);
+                });
+
+                const status = document.createElement('td');
+                status.textContent = this.getStatusLabel(record);
+                row.appendChild(status);
+
+                const actions = document.createElement('td');
+                const isDone = record.status === config.doneStatus;
+                const button = createCatalogElement('button', `btn btn--sm ${isDone ? 'btn--outline' : 'btn--primary'}`, isDone ? 'admin.reopen' : config.doneAction);
+                button.type = 'button';
+                button.addEventListener('click', () => this.setStatus(record, isDone ? 'new' : config.doneStatus, button));
+                actions.appendChild(button);
+                row.appendChild(actions);
+
+                body.appendChild(row);
+            });
+
+            if (records.length === 0) {
+                const row = document.createElement('tr');
+                const cell = createCatalogElement('td', 'admin-empty', 'admin.empty');
+                cell.colSpan = config.columns.length + 3;
+                row.appendChild(cell);
+                body.appendChild(row);
+            }
+
+            this.countElement.textContent = languageManager.t('admin.count', {
+                count: records.length,
+                total: this.getCollectionRecords().length
+            });
+        }
+
+        setStatus(record, status, button) {
+            button.disabled = true;
+            this.storage.update(record.id, { status: status, reviewedAt: new Date().toISOString() })
+                .then(() => {
+                    this.records = this.records.map(item => item.id === record.id ? Object.assign({}, item, { status: status }) : item);
+                    this.render();
+                    // Keep keyboard focus on the same row after it re-renders
+                    const row = Array.from(this.table.tBodies[0].rows).find(item => item.dataset.submissionId === record.id);
+                    if (row) row.querySelector('button').focus();
+                })
+                .catch(error => {
+                    console.warn(error);
+                    if (this.handleRejection(error)) return;
+                    button.disabled = false;
+                    showNotification(languageManager.t('admin.updateError'), 'error', {
+                        actions: [{
+                            label: languageManager.t('notifications.retry'),
+                            onClick: () => this.setStatus(record, status, button)
+                        }]
+                    });
+                });
+        }
+
+        // Exports what is on screen: the active collection with its filters, labels in the current language
+        exportCsv() {
+            const config = this.getConfig();
+            const form = this.getForm();
+            const header = ['admin.colSubmitted'].concat(config.columns.map(column => column.key), ['admin.colStatus'])
+                .map(key => languageManager.t(key));
+            const rows = this.getFilteredRecords().map(record => {
+                const fields = record.fields || {};
+                return [record.submittedAt || '']
+                    .concat(config.columns.map(column => getFieldValueLabel(form, column.field, fields[column.field])))
+                    .concat(this.getStatusLabel(record));
+            });
+
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`${this.collection}-${date}.csv`, buildCsv([header].concat(rows)), 'text/csv;charset=utf-8');
+        }
+
+        // Door check-in for events that haven't finished, using the RSVP codes from RsvpManager
+        renderCheckinEvents() {
+            if (!this.checkinForm || this.checkinForm.classList.contains('hidden')) return;
+            const select = this.checkinForm.querySelector('#admin-checkin-event');
+            const selected = select.value;
+            const events = this.events ? this.events.getUpcomingEvents() : [];
+
+            select.innerHTML = '';
+            events.forEach(event => {
+                const option = document.createElement('option');
+                option.value = event.id;
+                option.textContent = languageManager.localize(event.title);
+                select.appendChild(option);
+            });
+            if (selected) select.value = selected;
+
+            const isAvailable = events.length > 0;
+            Array.from(this.checkinForm.elements).forEach(element => {
+                element.disabled = !isAvailable;
+            });
+            const result = this.checkinForm.querySelector('.admin-checkin__result');
+            if (!isAvailable) {
+                result.setAttribute('data-i18n', 'admin.checkinNoEvents');
+                result.className = 'admin-checkin__result';
+                result.textContent = languageManager.t('admin.checkinNoEvents');
+            } else if (result.hasAttribute('data-i18n')) {
+                result.removeAttribute('data-i18n');
+                result.textContent = '';
+            }
+        }
+
+        checkIn() {
+            const select = this.checkinForm.querySelector('#admin-checkin-event');
+            const codeField = this.checkinForm.querySelector('#admin-checkin-code');
+            const result = this.checkinForm.querySelector('.admin-checkin__result');
+            if (!validateForm(this.checkinForm)) return;
+
+            const messages = {
+                checkedIn: 'admin.checkinCheckedIn',
+                alreadyCheckedIn: 'admin.checkinAlready',
+                waitlisted: 'admin.checkinWaitlisted',
+                notFound: 'admin.checkinNotFound'
+            };
+
+            this.rsvp.checkIn(select.value, codeField.value, this.passcode)
+                .then(outcome => {
+                    const name = outcome.attendee ? outcome.attendee.name : '';
+                    result.removeAttribute('data-i18n');
+                    result.textContent = languageManager.t(messages[outcome.status], { name: name });
+                    result.className = `admin-checkin__result status status--${outcome.status === 'checkedIn' ? 'success' : 'error'}`;
+                    announce(result.textContent, outcome.status === 'checkedIn' ? 'polite' : 'assertive');
+                    if (outcome.status === 'checkedIn') {
+                        codeField.value = '';
+                    }
+                    codeField.focus();
+                })
+                .catch(error => {
+                    console.warn(error);
+                    if (this.handleRejection(error)) return;
+                    showNotification(languageManager.t('admin.updateError'), 'error');
+                });
+        }
+    }
+
+    const adminPanel = document.getElementById('admin-panel');
+    const adminManager = adminPanel ? new AdminManager(adminPanel, {
+        rsvp: rsvpManager,
+        events: eventsManager,
+        editor: contentEditor
+    }) : null;
+
+    document.querySelectorAll('[data-admin-open]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (adminManager) adminManager.open();
+        });
+    });
+
+    // Offline Site Search
+    // The header search box indexes event, news, leadership and gallery content in every
+    // registered language straight from the page and data files, so it needs no search service.
+    // Text is folded before matching: case, Latin accents, Arabic diacritics and tatweel are
+    // ignored, alef variants match a bare alef, taa marbuta matches haa, alef maqsura matches
+    // yaa, and Arabic-Indic digits match Western ones.
+    const searchInput = document.getElementById('site-search-input');
+    const searchPanel = document.getElementById('site-search-panel');
+    const searchResults = document.getElementById('site-search-results');
+    const searchEmpty = document.getElementById('site-search-empty');
+    const SEARCH_RESULT_LIMIT = 8;
+    const SEARCH_SELECTOR = '.event-card, .news-card, .leader-card, .gallery-item';
+    let searchIndex = null;
+    let searchMatches = [];
+    let activeSearchResult = -1;
+
+    function foldSearchText(text) {
+        return text
+            // Alef with hamza above / below, alef with madda and alef wasla become a bare alef
+            .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+            // Separate accents and hamza marks from their letters, then drop them
+            .normalize('NFD')
+            .replace(/[\u0300-\u036F]/g, '')
+            // Harakat, Quranic marks, the hamza left over from decomposing ؤ / ئ, and tatweel
+            .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, '')
+            // Taa marbuta matches haa, alef maqsura matches yaa
+            .replace(/\u0629/g, '\u0647')
+            .replace(/\u0649/g, '\u064A')
+            .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+            .toLowerCase();
+    }
+
+    // Folded text plus, for each folded character, its offset in the original text
+    function foldWithOrigins(text) {
+        let folded = '';
+        const origins = [];
+        let offset = 0;
+        for (const char of text) {
+            const foldedChar = foldSearchText(char);
+            for (let i = 0; i < foldedChar.length; i++) {
+                origins.push(offset);
+            }
+            folded += foldedChar;
+            offset += char.length;
+        }
+        origins.push(text.length);
+        return { folded, origins };
+    }
+
+    function normalizeSearchText(text) {
+        return foldSearchText(text).replace(/\s+/g, ' ').trim();
+    }
+
+    // Rich-text markup is not part of what visitors read
+    function stripRichText(text) {
+        return text
+            .replace(/\]\([^)\s]*\)/g, ']')
+            .replace(/:[a-z-]+:/g, '')
+            .replace(/[*[\]]/g, '')
+            .replace(/^- /gm, '');
+    }
 
-        // Auto-hide notification
-        const hideTimeout = setTimeout(() => {
-            hideNotification(notification, isRTL);
-        }, 5000);
+    // Everything an element says in one language, from its catalog keys and inline translations
+    // (buttons such as "Add to calendar" repeat on every card, and decorative parts such as
+    // avatar initials are hidden from assistive technology, so both are left out)
+    function getElementSearchText(element, code) {
+        const parts = [];
+        [element, ...element.querySelectorAll('*')].forEach(node => {
+            if (node !== element && node.closest('button, [aria-hidden="true"]')) return;
 
-        // Click to dismiss
-        notification.addEventListener('click', function() {
-            clearTimeout(hideTimeout);
-            hideNotification(notification, isRTL);
+            const key = node.getAttribute('data-i18n');
+            if (key) {
+                parts.push(languageManager.lookup(key, code) || '');
+            } else if (node.hasAttribute(`data-${code}`)) {
+                parts.push(node.getAttribute(`data-${code}`));
+            }
+            if (node.hasAttribute(`data-caption-${code}`)) {
+                parts.push(node.getAttribute(`data-caption-${code}`));
+            }
         });
+        return stripRichText(parts.join(' '));
+    }
+
+    function getElementSearchTitle(element) {
+        const heading = element.querySelector('h3');
+        if (heading) return heading.textContent.trim();
+        return languageManager.getLocalizedAttribute(element, 'data-caption-') || element.textContent.trim();
+    }
+
+    // Sections re-render their cards (the clock moving an event to the archive, the content editor
+    // on every keystroke), so entries find their card again by id when chosen instead of keeping it
+    const SEARCH_ID_ATTRIBUTES = ['data-event-id', 'data-officer-id', 'data-photo-id'];
+
+    function getSearchLocator(element) {
+        const attribute = SEARCH_ID_ATTRIBUTES.find(name => element.hasAttribute(name));
+        if (!attribute) return () => element;
+
+        const selector = `[${attribute}="${element.getAttribute(attribute)}"]`;
+        // An officer can have a card on the current board and on a past one
+        const occurrence = Array.from(document.querySelectorAll(selector)).indexOf(element);
+        return () => document.querySelectorAll(selector)[occurrence] || document.querySelector(selector);
+    }
+
+    function createSearchEntry(section, texts, getTitle, reveal) {
+        return {
+            section,
+            texts,
+            getTitle,
+            reveal,
+            haystack: normalizeSearchText(Object.values(texts).join(' '))
+        };
+    }
 
-        function hideNotification(notif, rtl) {
-            notif.style.opacity = '0';
-            notif.style.transform = `translateX(${rtl ? '-100%' : '100%'})`;
-            setTimeout(() => {
-                if (notif.parentNode) {
-                    notif.remove();
+    // News is indexed from its data so articles on later "Load more" pages are found too
+    function buildSearchIndex() {
+        const codes = languageManager.getLocales().map(locale => locale.code);
+        const entries = [];
+
+        document.querySelectorAll(SEARCH_SELECTOR).forEach(element => {
+            if (newsManager && element.classList.contains('news-card')) return;
+            const section = element.closest('section');
+            const texts = {};
+            codes.forEach(code => {
+                texts[code] = getElementSearchText(element, code);
+            });
+            const locate = getSearchLocator(element);
+            entries.push(createSearchEntry(section ? section.id : '', texts, () => getElementSearchTitle(locate() || element), () => {
+                const target = locate();
+                // Photos filtered out by the album chips are shown again
+                if (target && target.classList.contains('gallery-item') && target.classList.contains('hidden')) {
+                    setGalleryAlbum('');
                 }
-            }, 300);
+                return target;
+            }));
+        });
+
+        if (newsManager) {
+            newsManager.articles.forEach(article => {
+                const texts = {};
+                codes.forEach(code => {
+                    const tagLabels = (article.tags || [])
+                        .map(tagId => newsManager.tags[tagId] ? languageManager.localize(newsManager.tags[tagId].label, code) : '');
+                    texts[code] = stripRichText([
+                        languageManager.localize(article.title, code),
+                        languageManager.localize(article.summary, code),
+                        languageManager.localize(article.body, code)
+                    ].concat(tagLabels).join(' '));
+                });
+                entries.push(createSearchEntry('news', texts,
+                    () => languageManager.localize(article.title),
+                    () => newsManager.revealArticle(article.id)));
+            });
         }
+
+        return entries;
     }
 
-    // Active navigation highlight based on scroll position
-    function updateActiveNavigation() {
-        const sections = document.querySelectorAll('section[id]');
-        const navLinks = document.querySelectorAll('.nav-link');
-        
-        let currentSection = '';
-        const scrollPosition = window.scrollY + 150;
+    // Entries containing every word of the query come first, then those matching the most words
+    // (so "who handles events" still finds the events coordinator); title matches break ties
+    function searchSite(query) {
+        const terms = normalizeSearchText(query).split(' ').filter(Boolean);
+        if (terms.length === 0) return { terms, matches: [] };
 
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
-            
-            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                currentSection = section.getAttribute('id');
+        if (!searchIndex) {
+            searchIndex = buildSearchIndex();
+        }
+
+        const matches = searchIndex
+            .map((entry, order) => {
+                const title = normalizeSearchText(entry.getTitle());
+                return {
+                    entry,
+                    order,
+                    matched: terms.filter(term => entry.haystack.includes(term)).length,
+                    inTitle: terms.filter(term => title.includes(term)).length
+                };
+            })
+            .filter(result => result.matched > 0)
+            .sort((a, b) => b.matched - a.matched || b.inTitle - a.inTitle || a.order - b.order)
+            .map(result => result.entry);
+
+        return { terms, matches };
+    }
+
+    // Append text to parent with every occurrence of the terms wrapped in <mark>
+    function appendHighlightedText(parent, text, terms) {
+        const { folded, origins } = foldWithOrigins(text);
+        const marked = new Array(text.length).fill(false);
+        terms.forEach(term => {
+            let index = folded.indexOf(term);
+            while (index !== -1) {
+                for (let i = origins[index]; i < origins[index + term.length]; i++) {
+                    marked[i] = true;
+                }
+                index = folded.indexOf(term, index + term.length);
             }
         });
 
-        navLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('href') === `#${currentSection}`) {
-                link.classList.add('active');
+        let start = 0;
+        for (let i = 1; i <= text.length; i++) {
+            if (i === text.length || marked[i] !== marked[start]) {
+                const chunk = text.slice(start, i);
+                if (marked[start]) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = chunk;
+                    parent.appendChild(mark);
+                } else {
+                    parent.appendChild(document.createTextNode(chunk));
+                }
+                start = i;
+            }
+        }
+    }
+
+    // A short excerpt around the first matching term in the current language, if there is one
+    function getSearchSnippet(text, terms) {
+        const { folded, origins } = foldWithOrigins(text);
+        const positions = terms.map(term => folded.indexOf(term)).filter(position => position !== -1);
+        if (positions.length === 0) return '';
+
+        const matchStart = origins[Math.min(...positions)];
+        const start = Math.max(0, matchStart - 40);
+        const end = Math.min(text.length, matchStart + 80);
+        const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+    }
+
+    function setSearchPanelOpen(isOpen) {
+        searchPanel.classList.toggle('hidden', !isOpen);
+        searchInput.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+        if (!isOpen) {
+            setActiveSearchResult(-1);
+        }
+    }
+
+    function setActiveSearchResult(index) {
+        activeSearchResult = index;
+        searchResults.querySelectorAll('.site-search__result').forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', optionIndex === index ? 'true' : 'false');
+        });
+        if (index >= 0) {
+            searchInput.setAttribute('aria-activedescendant', `site-search-result-${index}`);
+            searchResults.children[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function renderSearchResults() {
+        const query = searchInput.value;
+        const { terms, matches } = searchSite(query);
+        searchMatches = matches.slice(0, SEARCH_RESULT_LIMIT);
+        searchResults.innerHTML = '';
+
+        if (terms.length === 0) {
+            setSearchPanelOpen(false);
+            return;
+        }
+
+        const lang = languageManager.getCurrentLanguage();
+        searchMatches.forEach((entry, index) => {
+            const option = document.createElement('li');
+            option.className = 'site-search__result';
+            option.id = `site-search-result-${index}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+
+            const titleText = entry.getTitle();
+            const title = document.createElement('span');
+            title.className = 'site-search__title';
+            appendHighlightedText(title, titleText, terms);
+            option.appendChild(title);
+
+            // Show where the match is when the title alone does not explain it
+            const foldedTitle = foldSearchText(titleText);
+            const snippetText = terms.every(term => foldedTitle.includes(term)) ? '' : getSearchSnippet(entry.texts[lang] || '', terms);
+            if (snippetText) {
+                const snippet = document.createElement('span');
+                snippet.className = 'site-search__snippet';
+                appendHighlightedText(snippet, snippetText, terms);
+                option.appendChild(snippet);
             }
+
+            const section = document.createElement('span');
+            section.className = 'site-search__section';
+            section.textContent = languageManager.t(`nav.${entry.section}`);
+            option.appendChild(section);
+
+            // mousedown keeps focus in the input so the panel does not close before the click lands
+            option.addEventListener('mousedown', e => e.preventDefault());
+            option.addEventListener('click', () => openSearchResult(entry));
+            searchResults.appendChild(option);
         });
+
+        searchEmpty.textContent = matches.length === 0 ? languageManager.t('search.noResults', { query: query.trim() }) : '';
+        searchEmpty.classList.toggle('hidden', matches.length > 0);
+        setSearchPanelOpen(true);
+
+        announce(matches.length === 0
+            ? searchEmpty.textContent
+            : languageManager.t('search.results', { count: matches.length }));
     }
 
-    // Header background change on scroll
-    const header = document.querySelector('.header');
-    if (header) {
-        window.addEventListener('scroll', function() {
-            updateActiveNavigation();
-            
-            if (window.scrollY > 50) {
-                header.style.backgroundColor = 'rgba(252, 252, 249, 0.95)';
-                header.style.backdropFilter = 'blur(10px)';
-            } else {
-                header.style.backgroundColor = 'var(--color-surface)';
-                header.style.backdropFilter = 'none';
+    function openSearchResult(entry) {
+        const target = entry.reveal();
+        setSearchPanelOpen(false);
+        if (!target) return;
+
+        // Past events live in a collapsed archive
+        const archive = target.closest('details');
+        if (archive && !archive.open) {
+            archive.open = true;
+        }
+
+        scrollToElement(target);
+        if (entry.section) {
+            setUrlState({ section: entry.section }, 'push');
+        }
+
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+        target.classList.remove('search-highlight');
+        // Restart the highlight animation when the same result is picked twice
+        void target.offsetWidth;
+        target.classList.add('search-highlight');
+        setTimeout(() => target.classList.remove('search-highlight'), 2500);
+    }
+
+    if (searchInput && searchPanel && searchResults && searchEmpty) {
+        // Other languages' catalogs are loaded on first use so leadership can be searched in all of them
+        searchInput.addEventListener('focus', () => {
+            Promise.all(languageManager.getLocales().map(locale => languageManager.loadCatalog(locale.code)))
+                .catch(() => {})
+                .then(() => {
+                    searchIndex = null;
+                    if (searchInput.value.trim()) renderSearchResults();
+                });
+        });
+
+        searchInput.addEventListener('input', () => {
+            renderSearchResults();
+            if (searchMatches.length > 0) setActiveSearchResult(0);
+        });
+
+        searchInput.addEventListener('keydown', (e) => {
+            const count = searchMatches.length;
+            if (e.key === 'ArrowDown' && count > 0) {
+                e.preventDefault();
+                if (searchPanel.classList.contains('hidden')) renderSearchResults();
+                setActiveSearchResult((activeSearchResult + 1) % count);
+            } else if (e.key === 'ArrowUp' && count > 0) {
+                e.preventDefault();
+                setActiveSearchResult((activeSearchResult - 1 + count) % count);
+            } else if (e.key === 'Enter' && activeSearchResult >= 0) {
+                e.preventDefault();
+                openSearchResult(searchMatches[activeSearchResult]);
+            } else if (e.key === 'Escape') {
+                if (!searchPanel.classList.contains('hidden')) {
+                    setSearchPanelOpen(false);
+                } else {
+                    searchInput.value = '';
+                }
             }
         });
+
+        searchInput.addEventListener('blur', () => setSearchPanelOpen(false));
+
+        // Content re-renders (events moving to the archive, news paging) and titles follow the language
+        window.addEventListener('languageChanged', () => {
+            searchIndex = null;
+            if (!searchPanel.classList.contains('hidden')) renderSearchResults();
+        });
+
+        // "/" jumps to the search box from anywhere outside a form field
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            e.preventDefault();
+            searchInput.focus();
+        });
     }
 
-    // Initial call to set active navigation
-    updateActiveNavigation();
+    // Shareable Deep Links
+    // The URL mirrors the visible state: ?lang=<code> for the language, #<section> for the section
+    // in view, &photo=<id> (the photo's data-photo-id) while the lightbox is open and &article=<id>
+    // while a news article is open. Back/forward restore all of them.
+    let urlStateRestored = false;
 
-    // Intersection Observer for scroll animations
-    const observerOptions = {
-        root: null,
-        rootMargin: '0px',
-        threshold: 0.1
-    };
+    // A malformed escape in a hand-edited link (e.g. #%E0) is read as-is rather than throwing
+    function decodeHash(hash) {
+        try {
+            return decodeURIComponent(hash);
+        } catch (e) {
+            return hash;
+        }
+    }
 
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.style.opacity = '1';
-                entry.target.style.transform = 'translateY(0)';
+    function readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            lang: params.get('lang'),
+            section: decodeHash(window.location.hash.slice(1)) || null,
+            photo: params.get('photo'),
+            article: params.get('article')
+        };
+    }
+
+    // mode is 'push' for a new history entry or 'replace' to update the current one;
+    // a null or empty value removes the parameter. entryState is stored with a pushed entry and
+    // kept when the entry is replaced. Returns true when a new entry was pushed.
+    function setUrlState(changes, mode = 'replace', entryState = null) {
+        const url = new URL(window.location.href);
+        Object.keys(changes).forEach(name => {
+            if (name === 'section') {
+                url.hash = changes.section ? `#${changes.section}` : '';
+            } else if (changes[name]) {
+                url.searchParams.set(name, changes[name]);
+            } else {
+                url.searchParams.delete(name);
             }
         });
-    }, observerOptions);
 
-    // Observe elements for animation
-    const animateElements = document.querySelectorAll('.philosophy-card, .event-card, .news-card, .leader-card, .gallery-item');
-    animateElements.forEach(el => {
-        el.style.opacity = '0';
-        el.style.transform = 'translateY(20px)';
-        el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-        observer.observe(el);
+        // Restoring a history entry re-runs the same changes; don't record them twice
+        if (url.href === window.location.href) return false;
+        if (mode === 'push') {
+            window.history.pushState(entryState, '', url.href);
+            return true;
+        }
+        window.history.replaceState(window.history.state, '', url.href);
+        return false;
+    }
+
+    // The lightbox and the news article add a history entry when opened from the page. Closing
+    // one goes Back over that entry, so it doesn't linger and Forward reopens the dialog; the
+    // popstate handler then does the actual closing. A dialog opened from a link or from history,
+    // or with another entry pushed since, closes in place instead.
+    function pushDialogEntry(dialog, changes) {
+        return setUrlState(changes, 'push', { dialog: dialog });
+    }
+
+    // Returns true when it went Back, leaving the closing to popstate
+    function leaveDialogEntry(dialog) {
+        const entryState = window.history.state;
+        if (entryState && entryState.dialog === dialog) {
+            window.history.back();
+            return true;
+        }
+        return false;
+    }
+
+    // Scrolling keeps the section up to date without adding history entries
+    function syncSectionToUrl(section) {
+        if (!urlStateRestored || !section || isLightboxOpen()) return;
+        if (readUrlState().section !== section) {
+            setUrlState({ section: section }, 'replace');
+        }
+    }
+
+    function applyUrlState(state, behavior) {
+        if (state.lang && state.lang !== languageManager.getCurrentLanguage()) {
+            languageManager.switchLanguage(state.lang);
+        }
+
+        if (newsManager) {
+            if (state.article) {
+                newsManager.openArticle(state.article);
+            } else {
+                newsManager.closeArticle();
+            }
+        }
+
+        const photoIndex = state.photo ? getGalleryIndex(state.photo) : -1;
+        if (photoIndex >= 0) {
+            if (!isLightboxOpen()) {
+                openLightbox(photoIndex);
+            } else if (photoIndex !== currentImageIndex) {
+                currentImageIndex = photoIndex;
+                showLightboxImage();
+            }
+        } else {
+            if (isLightboxOpen()) {
+                closeLightbox();
+            }
+            if (state.section && !state.article) {
+                scrollToSection(state.section, behavior);
+            }
+        }
+    }
+
+    window.addEventListener('languageChanged', function(e) {
+        // The first language applied on load replaces the entry; later switches can be undone with Back
+        setUrlState({ lang: e.detail.language }, e.detail.initial ? 'replace' : 'push');
+    });
+
+    window.addEventListener('popstate', function() {
+        applyUrlState(readUrlState(), 'smooth');
     });
 
-    // Form focus animations
-    const formInputs = document.querySelectorAll('.form-control');
-    formInputs.forEach(input => {
-        input.addEventListener('focus', function() {
-            this.parentElement.classList.add('focused');
+    // Land on the linked section, photo or article once the content has rendered
+    Promise.all([eventsReady, newsReady, leadershipReady, galleryReady])
+        .then(() => {
+            applyUrlState(readUrlState(), 'auto');
+        })
+        .catch(error => {
+            // The page stays usable at the top; only the deep link is lost
+            console.warn('Could not restore the linked state', error);
+        })
+        .finally(() => {
+            urlStateRestored = true;
         });
 
-        input.addEventListener('blur', function() {
-            if (this.value === '') {
-                this.parentElement.classList.remove('focused');
+    // Offline Support
+    // sw.js caches the page, its data and the gallery thumbnails so the site still opens when the
+    // connection drops. Losing or regaining the connection is reported with showNotification, and
+    // queued form submissions are retried by flushSubmissionQueue once the browser is back online.
+    function getGalleryThumbnailUrls() {
+        const urls = new Set();
+        const addUrl = url => {
+            if (url) urls.add(new URL(url, document.baseURI).href);
+        };
+
+        galleryItems.forEach(item => {
+            const image = item.querySelector('.gallery-img');
+            if (image) {
+                addUrl(image.getAttribute('src'));
+                // Candidates are split at ", " because the Cloudinary URLs themselves contain commas
+                (image.getAttribute('srcset') || '').split(/,\s+/).forEach(candidate => {
+                    addUrl(candidate.trim().split(/\s+/)[0]);
+                });
             }
+
+            const thumb = item.querySelector('.gallery-thumb');
+            const placeholder = thumb ? /url\(['"]?([^'")]+)/.exec(thumb.style.getPropertyValue('--placeholder')) : null;
+            if (placeholder) addUrl(placeholder[1]);
         });
+
+        return Array.from(urls);
+    }
+
+    function registerServiceWorker() {
+        // Service workers need http(s); opening index.html from disk simply skips offline support
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({ type: 'cache-images', urls: getGalleryThumbnailUrls() });
+                }
+            })
+            .catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+    }
+
+    // Register after the page has loaded so caching doesn't compete with the first render
+    window.addEventListener('load', registerServiceWorker);
+
+    function updateConnectionStatus(announceOnline) {
+        const isOffline = navigator.onLine === false;
+        document.documentElement.classList.toggle('is-offline', isOffline);
+        if (isOffline) {
+            showNotification(languageManager.t('connection.offline'), 'warning');
+        } else if (announceOnline) {
+            showNotification(languageManager.t('connection.online'), 'success');
+        }
+    }
+
+    window.addEventListener('offline', () => updateConnectionStatus(true));
+    window.addEventListener('online', () => updateConnectionStatus(true));
+    languageManager.ready.then(() => {
+        if (navigator.onLine === false) {
+            updateConnectionStatus(false);
+        }
     });
 
-    // Update form placeholders based on language
+    // Installed app names follow the language: a registry locale can name its own manifest
+    const manifestLink = document.querySelector('link[rel="manifest"]');
+    const defaultManifest = manifestLink ? manifestLink.getAttribute('href') : null;
+
     window.addEventListener('languageChanged', function(e) {
-        const lang = e.detail.language;
-        
-        // Update form placeholders that aren't handled by data attributes
-        const nameInputs = document.querySelectorAll('input[name="name"]');
-        nameInputs.forEach(input => {
-            input.placeholder = lang === 'ar' ? 'أدخل اسمك الكامل' : 'Enter your full name';
-        });
+        if (!manifestLink) return;
+        const locale = languageManager.getLocale(e.detail.language);
+        manifestLink.setAttribute('href', locale.manifest || defaultManifest);
+    });
 
-        const emailInputs = document.querySelectorAll('input[type="email"]');
-        emailInputs.forEach(input => {
-            input.placeholder = lang === 'ar' ? 'أدخل بريدك الإلكتروني' : 'Enter your email address';
-        });
+    // Form focus animations
+    // Delegated from the document so fields on every wizard step and in dialogs are covered.
+    // A .form-group keeps its highlighted label while it has focus or any of its fields is filled.
+    function isFieldFilled(field) {
+        return field.type === 'checkbox' || field.type === 'radio' ? field.checked : field.value !== '';
+    }
 
-        const messageTextareas = document.querySelectorAll('textarea[name="message"]');
-        messageTextareas.forEach(textarea => {
-            textarea.placeholder = lang === 'ar' ? 'اكتب رسالتك هنا...' : 'Write your message here...';
-        });
+    function updateFocusedLabel(group, hasFocus) {
+        const fields = Array.from(group.querySelectorAll('.form-control, .form-check__input'));
+        group.classList.toggle('focused', hasFocus || fields.some(isFieldFilled));
+    }
+
+    // Bring every label in a form in line with its values, e.g. after a reset or a restored draft
+    function syncFocusedLabels(form) {
+        form.querySelectorAll('.form-group').forEach(group => updateFocusedLabel(group, group.contains(document.activeElement)));
+    }
+
+    function getFieldGroup(target) {
+        return target.matches && target.matches('.form-control, .form-check__input') ? target.closest('.form-group') : null;
+    }
+
+    document.addEventListener('focusin', function(e) {
+        const group = getFieldGroup(e.target);
+        if (group) updateFocusedLabel(group, true);
+    });
+
+    document.addEventListener('focusout', function(e) {
+        const group = getFieldGroup(e.target);
+        if (group) updateFocusedLabel(group, false);
     });
 
     // Add custom styles dynamically with RTL support
@@ -685,7 +5763,8 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         .gallery-img {
-            transition: transform var(--duration-normal) var(--ease-standard);
+            transition: transform var(--duration-normal) var(--ease-standard),
+                opacity var(--duration-normal) var(--ease-standard);
         }
         
         .gallery-item:hover .gallery-img {
@@ -759,7 +5838,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Keyboard shortcuts for language switching
     document.addEventListener('keydown', function(e) {
-        // Ctrl/Cmd + L to toggle language
+        // Ctrl/Cmd + L to cycle through the available languages
         if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
             e.preventDefault();
             languageManager.toggleLanguage();
@@ -772,9 +5851,12 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('✅ Gallery Lightbox: Working');
     console.log('✅ Forms: Working with validation');
     console.log('✅ Mobile Menu: Working');
-    console.log('✅ Language Toggle: Working (English/Arabic)');
+    console.log('✅ Language Picker: Working (locales/locales.json)');
     console.log('✅ RTL Support: Working');
+    console.log('✅ Offline Support:', 'serviceWorker' in navigator ? 'Available (sw.js)' : 'Not supported in this browser');
+    console.log('🎨 Theme:', themeManager.getTheme());
     console.log('🌐 Current Language:', languageManager.getCurrentLanguage());
-    console.log('📱 Keyboard Shortcut: Ctrl/Cmd + L to toggle language');
+    console.log('📱 Keyboard Shortcut: Ctrl/Cmd + L to switch language');
+    console.log('🔍 Keyboard Shortcut: / to search the site');
     console.log('Built with modern web technologies and bilingual design system');
 });
\ No newline at end of file
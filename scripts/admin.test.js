@@ -0,0 +1,230 @@
+// Officer admin view: the service checks the passcode, CSV export, the local demo and the view without storage
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, readDownload, wait } = require('./load-page');
+
+const RECORDS = [
+    {
+        id: 'm1', form: 'membership-form', status: 'new', submittedAt: '2025-09-02T08:00:00Z',
+        fields: { name: 'Sara Ahmed', email: 'sara@qu.edu.qa', studentId: '201900123', phone: '', year: '1st', interests: ['volunteering', 'research'] }
+    },
+    {
+        id: 'm2', form: 'membership-form', status: 'approved', submittedAt: '2025-09-01T08:00:00Z',
+        fields: { name: '=Omar, "Jr"', email: 'omar@qu.edu.qa', studentId: '201800456', phone: '', year: '2nd', interests: [] }
+    },
+    {
+        id: 'c1', form: 'contact-form', status: 'new', submittedAt: '2025-09-03T08:00:00Z',
+        fields: { name: 'Visitor', email: 'visitor@example.org', subject: 'general', message: 'Hello' }
+    }
+];
+
+function unlock(window, document, passcode) {
+    document.querySelector('[data-admin-open]').click();
+    document.getElementById('admin-passcode').value = passcode;
+    document.getElementById('admin-gate').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    return wait(20);
+}
+
+function isHidden(element) {
+    return element.classList.contains('hidden');
+}
+
+test('opens only once the submissions service accepts the passcode', async (t) => {
+    const requests = [];
+    const page = await loadPage({
+        before(window) {
+            const panel = window.document.getElementById('admin-panel');
+            panel.dataset.storage = 'http';
+            panel.dataset.endpoint = 'https://submissions.example.org/api';
+        },
+        fetch: async (url, options) => {
+            if (url.hostname !== 'submissions.example.org') return null;
+            const authorization = options.headers.Authorization;
+            requests.push(authorization);
+            if (authorization !== 'Bearer board-2025') {
+                return { ok: false, status: 401, json: async () => ({}) };
+            }
+            return { ok: true, status: 200, json: async () => ({ submissions: RECORDS }) };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const gate = document.getElementById('admin-gate');
+    const workspace = document.querySelector('.admin-workspace');
+    assert.strictEqual(document.getElementById('admin-panel').hasAttribute('data-passcode-hash'), false);
+
+    await unlock(window, document, 'guess');
+    assert.deepStrictEqual(requests, ['Bearer guess']);
+    assert.ok(!isHidden(gate));
+    assert.ok(isHidden(workspace));
+    assert.ok(Array.from(document.querySelectorAll('.notification__message'), toast => toast.textContent)
+        .includes('That passcode is not correct.'));
+
+    await unlock(window, document, 'board-2025');
+    assert.ok(isHidden(gate));
+    assert.ok(!isHidden(workspace));
+    assert.strictEqual(document.querySelectorAll('.admin-table tbody tr').length, 2);
+    assert.strictEqual(document.querySelector('.admin-count').textContent, 'Showing 2 of 2');
+});
+
+test('exports the filtered submissions as CSV', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            window.pharmacyClubAdminStorage = {
+                shared: true,
+                list: () => Promise.resolve(RECORDS),
+                update: () => Promise.resolve()
+            };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    await unlock(window, document, 'board-2025');
+    document.querySelector('.admin-export').click();
+    assert.strictEqual(page.downloads.length, 1);
+    assert.match(page.downloads[0].filename, /^membership-\d{4}-\d{2}-\d{2}\.csv$/);
+
+    const lines = (await readDownload(window, page.downloads[0])).split('\r\n');
+    assert.strictEqual(lines[0], '\uFEFFSubmitted,Full Name,Email,Student ID,Mobile Number,Year Level,Interests,Status');
+    assert.strictEqual(lines[1], '2025-09-02T08:00:00Z,Sara Ahmed,sara@qu.edu.qa,201900123,,1st Year,Volunteering and Research,New');
+    assert.strictEqual(lines[2], `2025-09-01T08:00:00Z,"'=Omar, ""Jr""",omar@qu.edu.qa,201800456,,2nd Year,,Approved`);
+    assert.strictEqual(lines[3], '');
+
+    const filter = document.getElementById('admin-filter');
+    filter.value = '2nd';
+    filter.dispatchEvent(new window.Event('change'));
+    document.querySelector('.admin-export').click();
+    const filtered = (await readDownload(window, page.downloads[1])).split('\r\n');
+    assert.strictEqual(filtered.length, 3);
+    assert.ok(filtered[1].includes('omar@qu.edu.qa'));
+});
+
+test('checks attendees in through the RSVP service with the officer passcode', async (t) => {
+    const checkIns = [];
+    const page = await loadPage({
+        before(window) {
+            window.pharmacyClubClock = { now: () => new Date('2025-10-01T10:00:00+03:00') };
+            window.pharmacyClubAdminStorage = {
+                shared: true,
+                list: () => Promise.resolve([]),
+                update: () => Promise.resolve()
+            };
+            window.pharmacyClubRsvpStorage = {
+                shared: true,
+                status: () => Promise.resolve({ seats: { capacity: 200, confirmed: 10, waitlisted: 0 }, attendee: null }),
+                checkIn(eventId, code, passcode) {
+                    checkIns.push({ eventId, code, passcode });
+                    return Promise.resolve({ attendee: { name: 'Sara Ahmed' }, status: 'checkedIn' });
+                }
+            };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    await unlock(window, document, 'board-2025');
+    const form = document.getElementById('admin-checkin');
+    assert.ok(!isHidden(form));
+    document.getElementById('admin-checkin-event').value = 'community-health-fair-2025';
+    document.getElementById('admin-checkin-code').value = 'K7Q-M3P';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+
+    assert.deepStrictEqual(checkIns, [{ eventId: 'community-health-fair-2025', code: 'K7Q-M3P', passcode: 'board-2025' }]);
+    assert.strictEqual(form.querySelector('.admin-checkin__result').textContent, '✅ Sara Ahmed is checked in.');
+});
+
+test('offers only the content editor when no storage is configured', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            window.document.getElementById('admin-panel').dataset.storage = '';
+        }
+    });
+    t.after(() => page.close());
+    const { document } = page;
+
+    document.querySelector('[data-admin-open]').click();
+    assert.ok(isHidden(document.getElementById('admin-gate')));
+    assert.ok(!isHidden(document.querySelector('.admin-workspace')));
+    assert.ok(!isHidden(document.querySelector('.admin-no-service')));
+    assert.ok(isHidden(document.querySelector('.admin-demo')));
+    assert.ok(!isHidden(document.querySelector('.admin-edit-content')));
+    ['.admin-tabs', '.admin-export', '.admin-lock', '.admin-count', '.admin-table-wrap', '.admin-checkin'].forEach(selector => {
+        assert.ok(isHidden(document.querySelector(selector)), selector);
+    });
+    assert.deepStrictEqual(page.errors, []);
+});
+
+test('the local demo lists what this browser sent and checks in its own RSVPs', async (t) => {
+    const EVENT_ID = 'community-health-fair-2025';
+    const page = await loadPage({
+        before(window) {
+            window.pharmacyClubClock = { now: () => new Date('2025-10-01T10:00:00+03:00') };
+            window.localStorage.setItem('pharmacy-club-membership-draft', JSON.stringify({
+                step: 2,
+                fields: { name: 'Sara Ahmed', email: 'sara@qu.edu.qa', studentId: '201900123', phone: '55123456', year: '1st', consent: 'yes' }
+            }));
+            window.localStorage.setItem('pharmacy-club-rsvps', JSON.stringify({
+                [EVENT_ID]: [{
+                    id: 'a1', eventId: EVENT_ID, name: 'Omar Ali', email: 'omar@qu.edu.qa', language: 'en', status: 'confirmed',
+                    code: 'K7Q-M3P', createdAt: '2025-09-01T10:00:00Z', updatedAt: '2025-09-01T10:00:00Z', checkedInAt: null
+                }]
+            }));
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    // The shipped membership form opens the mail app and leaves a copy for the demo
+    document.getElementById('membership-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+
+    document.querySelector('[data-admin-open]').click();
+    await wait(20);
+    assert.ok(isHidden(document.getElementById('admin-gate')));
+    assert.ok(!isHidden(document.querySelector('.admin-demo')));
+    assert.ok(isHidden(document.querySelector('.admin-lock')));
+    const rows = document.querySelectorAll('.admin-table tbody tr');
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].cells[1].textContent, 'Sara Ahmed');
+
+    rows[0].querySelector('button').click();
+    await wait(20);
+    const queue = JSON.parse(window.localStorage.getItem('pharmacy-club-submission-queue'));
+    assert.strictEqual(queue[0].endpoint, null);
+    assert.strictEqual(queue[0].status, 'approved');
+    assert.strictEqual(document.querySelector('.admin-table tbody tr').cells[7].textContent, 'Approved');
+
+    document.querySelector('.admin-export').click();
+    const lines = (await readDownload(window, page.downloads[0])).split('\r\n');
+    assert.ok(lines[1].includes('Sara Ahmed'));
+
+    const form = document.getElementById('admin-checkin');
+    assert.ok(!isHidden(form));
+    document.getElementById('admin-checkin-event').value = EVENT_ID;
+    document.getElementById('admin-checkin-code').value = 'k7q m3p';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+    assert.strictEqual(form.querySelector('.admin-checkin__result').textContent, '✅ Omar Ali is checked in.');
+});
+
+test('mailto submissions leave nothing on the device unless the demo is on', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            window.document.getElementById('admin-panel').dataset.storage = '';
+            window.localStorage.setItem('pharmacy-club-membership-draft', JSON.stringify({
+                step: 2,
+                fields: { name: 'Sara Ahmed', email: 'sara@qu.edu.qa', studentId: '201900123', phone: '55123456', year: '1st', consent: 'yes' }
+            }));
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    document.getElementById('membership-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+    assert.strictEqual(window.localStorage.getItem('pharmacy-club-submission-queue'), null);
+    assert.strictEqual(window.localStorage.getItem('pharmacy-club-membership-draft'), null);
+});
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// Translation coverage checker for the Bilingual Pharmacy Club website
+//
+// Usage: npm run check:translations (or node scripts/check-translations.js [--json])
+//
+// `npm test` also runs it, together with fixture-driven self-checks in check-translations.test.js.
+// Runs headlessly (no browser, no dependencies) and exits with status 1 when it finds:
+//   - catalog keys missing from a locale, or present only in a non-default locale
+//   - empty translations
+//   - raw HTML in translations (rich text uses the data-rich syntax documented in app.js)
+//   - rich-text markup (line breaks, emphasis, links, icons) or {placeholder} mismatches
+//     between a translation and the default locale, and unsafe link targets
+//   - Latin text left in strings of a locale whose registry entry declares a non-Latin "script"
+//   - data-i18n / data-i18n-<attribute> keys in index.html that no catalog defines
+//   - inline data-<code> / data-caption-<code> translations missing a registered locale
+//   - catalog keys used by app.js through t() / createCatalogElement() that no catalog defines
+//   - bilingual content objects in data/*.json missing a registered locale
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function readJSON(root, relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(root, relativePath), 'utf8'));
+}
+
+// Flatten { events: { title: '...' } } into { 'events.title': '...' }
+function flattenCatalog(node, prefix = '', result = {}) {
+    Object.keys(node).forEach(key => {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        if (node[key] && typeof node[key] === 'object') {
+            flattenCatalog(node[key], fullKey, result);
+        } else {
+            result[fullKey] = node[key];
+        }
+    });
+    return result;
+}
+
+// Counts of each rich-text construct, e.g. "breaks:1 strong:0 em:0 links:1 icons:0"
+function getMarkupSignature(text) {
+    const count = pattern => (text.match(pattern) || []).length;
+    const strong = count(/\*\*[^*]+\*\*/g);
+    return [
+        `breaks:${count(/\n/g)}`,
+        `strong:${strong}`,
+        `em:${(text.replace(/\*\*[^*]+\*\*/g, '').match(/\*[^*]+\*/g) || []).length}`,
+        `links:${count(/\[[^\]]+\]\([^)\s]+\)/g)}`,
+        `icons:${count(/:[a-z-]+:/g)}`
+    ].join(' ');
+}
+
+function hasRawHTML(text) {
+    return /<\/?[a-z][^>]*>/i.test(text);
+}
+
+// Mirrors sanitizeHref() in app.js
+function getUnsafeLinks(text) {
+    const links = [];
+    const pattern = /\[[^\]]+\]\(([^)\s]+)\)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const href = match[1];
+        const isSafe = /^(https?:|mailto:|tel:)/i.test(href) || /^[#/.?]/.test(href) || !/^[^/?#]*:/.test(href);
+        if (!isSafe) links.push(href);
+    }
+    return links;
+}
+
+function getPlaceholders(text) {
+    return (text.match(/\{\w+\}/g) || []).sort().join(' ');
+}
+
+// Text that may legitimately stay Latin in any script: placeholders, markup, emails, URLs, file extensions
+function stripUntranslatable(text) {
+    return text
+        .replace(/\{\w+\}/g, '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\]\([^)\s]+\)/g, ']')
+        .replace(/:[a-z-]+:/g, '')
+        .replace(/\S+@\S+/g, '')
+        .replace(/\bhttps?:\/\/\S+/g, '')
+        .replace(/\.[a-z0-9]{2,4}\b/gi, '');
+}
+
+function hasLatinWords(text) {
+    return /[A-Za-z]{2,}/.test(stripUntranslatable(text));
+}
+
+function lineNumberAt(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+function parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([^\s=<>"']+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+        attributes[match[1].toLowerCase()] = match[2];
+    }
+    return attributes;
+}
+
+function checkCatalogs(registry, catalogs, report) {
+    const defaultCode = registry.default;
+    const reference = catalogs[defaultCode];
+
+    registry.locales.forEach(locale => {
+        const catalog = catalogs[locale.code];
+        const file = `locales/${locale.code}.json`;
+
+        Object.keys(catalog).forEach(key => {
+            const value = catalog[key];
+            if (typeof value !== 'string' || value.trim() === '') {
+                report('empty', file, `"${key}" is empty`);
+                return;
+            }
+            if (hasRawHTML(value)) {
+                report('markup', file, `"${key}" contains raw HTML; use the rich-text syntax instead`);
+            }
+            getUnsafeLinks(value).forEach(href => {
+                report('unsafe', file, `"${key}" links to an unsafe target: ${href}`);
+            });
+            if (locale.code === defaultCode) return;
+
+            if (!(key in reference)) {
+                report('orphan', file, `"${key}" does not exist in the ${defaultCode} catalog`);
+                return;
+            }
+            if (getMarkupSignature(value) !== getMarkupSignature(reference[key])) {
+                report('markup', file, `"${key}" has [${getMarkupSignature(value)}] but ${defaultCode} has [${getMarkupSignature(reference[key])}]`);
+            }
+            if (getPlaceholders(value) !== getPlaceholders(reference[key])) {
+                report('placeholder', file, `"${key}" uses [${getPlaceholders(value)}] but ${defaultCode} uses [${getPlaceholders(reference[key])}]`);
+            }
+            if (locale.script && locale.script !== 'Latn' && hasLatinWords(value)) {
+                report('latin', file, `"${key}" contains Latin text: ${value}`);
+            }
+        });
+
+        if (locale.code !== defaultCode) {
+            Object.keys(reference).forEach(key => {
+                if (!(key in catalog)) {
+                    report('missing', file, `"${key}" is missing (falls back to ${defaultCode})`);
+                }
+            });
+        }
+    });
+}
+
+function checkInlineTranslation(registry, attributes, prefix, where, report) {
+    const values = {};
+    registry.locales.forEach(locale => {
+        values[locale.code] = attributes[`${prefix}${locale.code}`];
+    });
+    const reference = values[registry.default];
+    if (reference === undefined) return;
+
+    registry.locales.forEach(locale => {
+        const value = values[locale.code];
+        if (value === undefined) {
+            report('missing', where, `${prefix}${registry.default}="${reference}" has no ${prefix}${locale.code}`);
+        } else if (value.trim() === '') {
+            report('empty', where, `${prefix}${locale.code} is empty`);
+        } else if (locale.code !== registry.default) {
+            if (hasRawHTML(value)) {
+                report('markup', where, `${prefix}${locale.code} contains raw HTML; use the rich-text syntax instead`);
+            }
+            if (getMarkupSignature(value) !== getMarkupSignature(reference)) {
+                report('markup', where, `${prefix}${locale.code} has different rich-text markup than ${prefix}${registry.default}`);
+            }
+            if (locale.script && locale.script !== 'Latn' && hasLatinWords(value)) {
+                report('latin', where, `${prefix}${locale.code} contains Latin text: ${value}`);
+            }
+        }
+    });
+}
+
+function checkPage(root, registry, catalogs, report) {
+    const file = 'index.html';
+    const html = fs.readFileSync(path.join(root, file), 'utf8');
+    const reference = catalogs[registry.default];
+    const tagPattern = /<[a-zA-Z][^>]*>/g;
+    let match;
+
+    while ((match = tagPattern.exec(html)) !== null) {
+        const attributes = parseAttributes(match[0]);
+        const where = `${file}:${lineNumberAt(html, match.index)}`;
+
+        Object.keys(attributes).forEach(name => {
+            if (name === 'data-i18n' || name.startsWith('data-i18n-')) {
+                const key = attributes[name];
+                if (!(key in reference)) {
+                    report('missing', where, `${name}="${key}" is not defined in locales/${registry.default}.json`);
+                }
+            }
+        });
+
+        checkInlineTranslation(registry, attributes, 'data-', where, report);
+        checkInlineTranslation(registry, attributes, 'data-caption-', where, report);
+    }
+}
+
+// Only literal keys can be checked; template keys such as `validation.${key}` are skipped
+function checkScriptKeys(root, registry, catalogs, report) {
+    const file = 'app.js';
+    const source = fs.readFileSync(path.join(root, file), 'utf8');
+    const reference = catalogs[registry.default];
+    const patterns = [
+        /\bt\(\s*'([\w.]+)'/g,
+        /createCatalogElement\([^)]*?'([\w.]+)'\s*\)/g
+    ];
+
+    patterns.forEach(pattern => {
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            if (!(match[1] in reference)) {
+                report('missing', `${file}:${lineNumberAt(source, match.index)}`, `"${match[1]}" is not defined in locales/${registry.default}.json`);
+            }
+        }
+    });
+}
+
+// A content object is one whose keys are all locale codes, e.g. { "en": "...", "ar": "..." }
+function checkContentObjects(registry, node, where, report) {
+    if (!node || typeof node !== 'object') return;
+
+    const codes = registry.locales.map(locale => locale.code);
+    const keys = Object.keys(node);
+    if (!Array.isArray(node) && keys.length > 0 && keys.includes(registry.default) && keys.every(key => codes.includes(key))) {
+        registry.locales.forEach(locale => {
+            const value = node[locale.code];
+            if (value === undefined) {
+                report('missing', where, `no "${locale.code}" translation`);
+            } else if (typeof value !== 'string' || value.trim() === '') {
+                report('empty', where, `"${locale.code}" is empty`);
+            } else if (locale.script && locale.script !== 'Latn' && hasLatinWords(value)) {
+                report('latin', where, `"${locale.code}" contains Latin text: ${value}`);
+            }
+        });
+        return;
+    }
+
+    keys.forEach(key => {
+        checkContentObjects(registry, node[key], `${where}${Array.isArray(node) ? `[${key}]` : `.${key}`}`, report);
+    });
+}
+
+function checkDataFiles(root, registry, report) {
+    const dataDir = path.join(root, 'data');
+    if (!fs.existsSync(dataDir)) return;
+
+    fs.readdirSync(dataDir)
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => {
+            checkContentObjects(registry, readJSON(root, `data/${name}`), `data/${name}`, report);
+        });
+}
+
+// root defaults to the site; the self-checks point it at a fixture site instead
+function checkTranslations(root = ROOT) {
+    const issues = [];
+    const report = (type, where, message) => issues.push({ type, where, message });
+
+    const registry = readJSON(root, 'locales/locales.json');
+    const catalogs = {};
+    registry.locales.forEach(locale => {
+        catalogs[locale.code] = flattenCatalog(readJSON(root, `locales/${locale.code}.json`));
+    });
+
+    checkCatalogs(registry, catalogs, report);
+    checkPage(root, registry, catalogs, report);
+    checkScriptKeys(root, registry, catalogs, report);
+    checkDataFiles(root, registry, report);
+
+    return issues;
+}
+
+if (require.main === module) {
+    const issues = checkTranslations();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(issues, null, 2));
+    } else if (issues.length === 0) {
+        console.log('✅ Translations: no missing or mismatched strings');
+    } else {
+        issues.forEach(issue => {
+            console.log(`✗ [${issue.type}] ${issue.where}: ${issue.message}`);
+        });
+        console.log(`\n${issues.length} translation issue(s) found`);
+    }
+
+    process.exitCode = issues.length > 0 ? 1 : 0;
+}
+
+module.exports = { checkTranslations };
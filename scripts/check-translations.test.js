@@ -0,0 +1,39 @@
+// Translation checker: the site itself, and a fixture site with one of each mistake it must catch
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { checkTranslations } = require('./check-translations');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'translations');
+
+function findIssue(issues, type, where, text) {
+    return issues.find(issue => issue.type === type && issue.where === where && issue.message.includes(text));
+}
+
+test('the site has no missing or mismatched strings', () => {
+    assert.deepStrictEqual(checkTranslations(), []);
+});
+
+test('flags an inline translation missing data-ar', () => {
+    const issues = checkTranslations(FIXTURE);
+    assert.ok(findIssue(issues, 'missing', 'index.html:7', 'data-en="Pharmacist Day" has no data-ar'));
+    assert.ok(!issues.some(issue => issue.where === 'index.html:6'), 'a complete pair is not flagged');
+});
+
+test('flags line break and placeholder mismatches', () => {
+    const issues = checkTranslations(FIXTURE);
+    assert.ok(findIssue(issues, 'markup', 'locales/ar.json', '"contact.address" contains raw HTML'));
+    assert.ok(findIssue(issues, 'markup', 'locales/ar.json', '"contact.address" has [breaks:0'));
+    assert.ok(findIssue(issues, 'placeholder', 'locales/ar.json', '"contact.welcome" uses [] but en uses [{name}]'));
+});
+
+test('flags Latin text left in Arabic', () => {
+    const issues = checkTranslations(FIXTURE);
+    assert.ok(findIssue(issues, 'latin', 'locales/ar.json', '"contact.join"'));
+    assert.ok(findIssue(issues, 'latin', 'data/events.json[0].location', 'Main Hall'));
+    assert.ok(!findIssue(issues, 'latin', 'data/events.json[0].title', ''), 'an Arabic title is not flagged');
+});
+
+test('reports nothing else in the fixture', () => {
+    assert.strictEqual(checkTranslations(FIXTURE).length, 6);
+});
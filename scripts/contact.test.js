@@ -0,0 +1,64 @@
+// Contact form spam protection: time-to-submit and the rate limit
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+const LOG_KEY = 'pharmacy-club-submission-log-contact-form';
+
+function fillContactForm(document) {
+    document.getElementById('contact-name').value = 'Ali Hassan';
+    document.getElementById('contact-email').value = 'ali@qu.edu.qa';
+    document.getElementById('contact-subject').value = 'general';
+    document.getElementById('contact-message').value = 'When is the next workshop?';
+}
+
+function submitContactForm(window) {
+    const form = window.document.getElementById('contact-form');
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+test('times from the first interaction and only counts delivered messages', async (t) => {
+    const posts = [];
+    let serverUp = false;
+    const page = await loadPage({
+        before(window) {
+            const form = window.document.getElementById('contact-form');
+            form.dataset.adapter = 'http';
+            form.dataset.endpoint = 'https://forms.example.org/contact';
+        },
+        fetch: async (url) => {
+            if (url.hostname !== 'forms.example.org') return null;
+            posts.push(url.href);
+            return serverUp ? { ok: true, status: 200 } : { ok: false, status: 503 };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+    const realNow = window.Date.now.bind(window.Date);
+    let offset = 0;
+    window.Date.now = () => realNow() + offset;
+
+    // Filled in by a script without ever being focused: blocked, however long the page was open
+    offset = 60000;
+    fillContactForm(document);
+    submitContactForm(window);
+    await wait(20);
+    assert.strictEqual(posts.length, 0);
+
+    document.getElementById('contact-name').dispatchEvent(new window.Event('focusin', { bubbles: true }));
+    offset += 4000;
+    submitContactForm(window);
+    await wait(20);
+    assert.strictEqual(posts.length, 1);
+    assert.strictEqual(window.localStorage.getItem(LOG_KEY), null, 'a queued message is not counted');
+
+    // The clock restarts for the next message
+    serverUp = true;
+    fillContactForm(document);
+    document.getElementById('contact-message').dispatchEvent(new window.Event('input', { bubbles: true }));
+    offset += 4000;
+    submitContactForm(window);
+    await wait(20);
+    assert.strictEqual(posts.length, 2);
+    assert.strictEqual(JSON.parse(window.localStorage.getItem(LOG_KEY)).length, 1);
+});
@@ -0,0 +1,108 @@
+// Content editor: editing texts in both languages, the live preview and the exported data file
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, readDownload, wait } = require('./load-page');
+
+const EVENT_ID = 'community-health-fair-2025';
+
+function beforeTheFair(window) {
+    window.pharmacyClubClock = { now: () => new Date('2025-10-01T10:00:00+03:00') };
+}
+
+// Edit mode is reached from the officer area, as an officer would
+async function editEvents(window, document) {
+    document.querySelector('[data-admin-open]').click();
+    await wait(20);
+    document.querySelector('.admin-edit-content').click();
+    document.querySelector('#events .content-edit-btn').click();
+    await wait(20);
+}
+
+function type(window, input, value) {
+    input.value = value;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+function getCardTitle(document) {
+    return document.querySelector(`.event-card[data-event-id="${EVENT_ID}"] h3`);
+}
+
+test('edits an event title in both languages, previews it and exports events.json', async (t) => {
+    const page = await loadPage({ before: beforeTheFair });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    await editEvents(window, document);
+    assert.ok(document.body.classList.contains('is-editing'));
+    assert.strictEqual(document.querySelector('.content-editor__section-title').textContent, 'Events');
+
+    // Items follow data/events.json, where the fair is the second event
+    const english = document.getElementById('content-events-1-title-en');
+    const arabic = document.getElementById('content-events-1-title-ar');
+    assert.strictEqual(arabic.dir, 'rtl');
+    type(window, english, 'Spring Health Fair');
+    type(window, arabic, 'معرض الصحة الربيعي');
+    await wait(350);
+
+    const title = getCardTitle(document);
+    assert.strictEqual(title.textContent, 'Spring Health Fair');
+    assert.strictEqual(title.getAttribute('data-ar'), 'معرض الصحة الربيعي');
+
+    document.querySelector('.content-editor__preview-btn[data-lang="ar"]').click();
+    await wait(50);
+    assert.strictEqual(document.documentElement.getAttribute('dir'), 'rtl');
+    assert.strictEqual(getCardTitle(document).textContent, 'معرض الصحة الربيعي');
+    assert.strictEqual(document.querySelector('.content-editor__preview-btn[data-lang="ar"]').getAttribute('aria-pressed'), 'true');
+
+    document.querySelector('.content-editor__export').click();
+    assert.strictEqual(page.downloads.length, 1);
+    assert.strictEqual(page.downloads[0].filename, 'events.json');
+    const exported = JSON.parse(await readDownload(window, page.downloads[0]));
+    const fair = exported.events.find(event => event.id === EVENT_ID);
+    assert.deepStrictEqual(fair.title, { en: 'Spring Health Fair', ar: 'معرض الصحة الربيعي' });
+    assert.strictEqual(exported.events.length, 3);
+
+    // Leaving edit mode ends the preview
+    document.querySelector('.content-editor__exit').click();
+    assert.strictEqual(document.documentElement.getAttribute('dir'), 'ltr');
+    assert.ok(!document.body.classList.contains('is-editing'));
+});
+
+test('flags a language left empty and only exports it on a second click', async (t) => {
+    const page = await loadPage({ before: beforeTheFair });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    await editEvents(window, document);
+    const arabic = document.getElementById('content-events-1-title-ar');
+    type(window, arabic, ' ');
+    assert.strictEqual(arabic.getAttribute('aria-invalid'), 'true');
+    assert.ok(!document.getElementById(`${arabic.id}-warning`).classList.contains('hidden'));
+    assert.strictEqual(document.querySelector('.content-editor__summary').textContent, '⚠️ Texts missing a language: 1');
+
+    document.querySelector('.content-editor__export').click();
+    assert.strictEqual(page.downloads.length, 0);
+    assert.strictEqual(document.activeElement, arabic);
+
+    document.querySelector('.content-editor__export').click();
+    assert.strictEqual(page.downloads.length, 1);
+});
+
+test('leaving edit mode puts back the content as loaded', async (t) => {
+    const page = await loadPage({ before: beforeTheFair });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const original = getCardTitle(document).textContent;
+    await editEvents(window, document);
+    type(window, document.getElementById('content-events-1-title-en'), 'Spring Health Fair');
+    await wait(350);
+    assert.strictEqual(getCardTitle(document).textContent, 'Spring Health Fair');
+
+    // The first click warns about the unexported change, the second leaves
+    document.querySelector('.content-editor__exit').click();
+    assert.ok(document.body.classList.contains('is-editing'));
+    document.querySelector('.content-editor__exit').click();
+    assert.ok(!document.body.classList.contains('is-editing'));
+    assert.strictEqual(getCardTitle(document).textContent, original);
+});
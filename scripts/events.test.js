@@ -0,0 +1,59 @@
+// Events section against an injected clock (window.pharmacyClubClock)
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+function getCards(document, selector) {
+    return Array.from(document.querySelectorAll(`${selector} .event-card`)).map(card => card.dataset.eventId);
+}
+
+test('splits events into upcoming and past around the injected clock', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            window.pharmacyClubClock = { now: () => new Date('2025-10-14T09:00:00+03:00') };
+        }
+    });
+    t.after(() => page.close());
+    const { document } = page;
+
+    assert.deepStrictEqual(getCards(document, '#events > .container > .events-grid'),
+        ['community-health-fair-2025', 'medication-safety-workshop-2025']);
+    assert.deepStrictEqual(getCards(document, '.events-grid--past'), ['pharmacist-day-2025']);
+    assert.ok(!document.getElementById('events-archive').classList.contains('hidden'));
+
+    const next = document.querySelector('.event-card--next');
+    assert.strictEqual(next.dataset.eventId, 'community-health-fair-2025');
+    assert.strictEqual(next.querySelector('.event-countdown').textContent, '⏳ Starts in 1 day, 1 hour');
+});
+
+test('moves a finished event to the archive as the clock advances', async (t) => {
+    let now = '2025-10-15T11:00:00+03:00';
+    const page = await loadPage({
+        before(window) {
+            window.pharmacyClubClock = { now: () => new Date(now) };
+        }
+    });
+    t.after(() => page.close());
+    const { document } = page;
+
+    assert.strictEqual(document.querySelector('.event-card--next .event-countdown').textContent, '🔴 Happening now');
+
+    now = '2025-10-15T15:00:00+03:00';
+    await wait(1100);
+    assert.deepStrictEqual(getCards(document, '.events-grid--past'),
+        ['community-health-fair-2025', 'pharmacist-day-2025']);
+    assert.strictEqual(document.querySelector('.event-card--next').dataset.eventId, 'medication-safety-workshop-2025');
+});
+
+test('shows the empty state once every event is past', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            window.pharmacyClubClock = { now: () => new Date('2026-01-01T00:00:00+03:00') };
+        }
+    });
+    t.after(() => page.close());
+
+    assert.deepStrictEqual(getCards(page.document, '#events > .container > .events-grid'), []);
+    assert.ok(page.document.querySelector('#events .events-status'));
+    assert.deepStrictEqual(page.errors, []);
+});
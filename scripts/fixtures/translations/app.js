@@ -0,0 +1,2 @@
+languageManager.t('contact.welcome', { name: 'Sara' });
+languageManager.t('contact.join');
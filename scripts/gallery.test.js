@@ -0,0 +1,81 @@
+// Gallery: album labels from the events file
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, wait } = require('./load-page');
+
+const events = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'events.json'), 'utf8'));
+
+test('labels event albums with the titles from data/events.json', async (t) => {
+    const data = JSON.parse(JSON.stringify(events));
+    data.events.find(event => event.id === 'community-health-fair-2025').title = {
+        en: 'Spring Health Fair',
+        ar: 'معرض الصحة الربيعي'
+    };
+    const page = await loadPage({
+        fetch: async (url) => url.pathname === '/data/events.json'
+            ? { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(data)) }
+            : null
+    });
+    t.after(() => page.close());
+    const { document } = page;
+
+    const chip = document.querySelector('.gallery-album[data-album="community-health-fair-2025"]');
+    assert.strictEqual(chip.textContent, 'Spring Health Fair');
+    assert.strictEqual(chip.getAttribute('data-ar'), 'معرض الصحة الربيعي');
+
+    // An album that is not an event keeps its label from the markup
+    assert.strictEqual(document.querySelector('.gallery-album[data-album="club-launch"]').textContent, 'Club Launch');
+
+    document.querySelector('#language-menu [data-lang="ar"]').click();
+    await wait(300);
+    assert.strictEqual(chip.textContent, 'معرض الصحة الربيعي');
+});
+
+test('tiles load resized thumbnails over a blurred preview and the lightbox the full photo', async (t) => {
+    const page = await loadPage();
+    t.after(() => page.close());
+    const { document } = page;
+
+    const items = Array.from(document.querySelectorAll('.gallery-item'));
+    assert.ok(items.length > 0);
+    items.forEach(item => {
+        const image = item.querySelector('.gallery-img');
+        const candidates = image.getAttribute('srcset').split(/,\s+/).map(candidate => candidate.trim().split(/\s+/)[1]);
+        assert.deepStrictEqual(candidates, ['400w', '800w']);
+        assert.ok(image.getAttribute('sizes'));
+        assert.notStrictEqual(image.getAttribute('src'), item.dataset.src);
+        assert.match(item.querySelector('.gallery-thumb').style.getPropertyValue('--placeholder'), /^url\(/);
+    });
+
+    items[0].click();
+    assert.strictEqual(document.querySelector('.lightbox-img').getAttribute('src'), items[0].dataset.src);
+});
+
+test('asks the service worker to cache every thumbnail candidate and placeholder', async (t) => {
+    const messages = [];
+    const page = await loadPage({
+        before(window) {
+            Object.defineProperty(window.navigator, 'serviceWorker', {
+                configurable: true,
+                value: {
+                    register: () => Promise.resolve(),
+                    ready: Promise.resolve({ active: { postMessage: message => messages.push(message) } })
+                }
+            });
+        }
+    });
+    t.after(() => page.close());
+    await wait(20);
+
+    const urls = messages.find(message => message.type === 'cache-images').urls;
+    page.document.querySelectorAll('.gallery-img').forEach(image => {
+        image.getAttribute('srcset').split(/,\s+/).forEach(candidate => {
+            assert.ok(urls.includes(candidate.split(/\s+/)[0]), candidate);
+        });
+    });
+    // Per photo: the 400w candidate (also its src), the 800w candidate and the blurred placeholder
+    assert.strictEqual(urls.length, page.document.querySelectorAll('.gallery-img').length * 3);
+    assert.ok(urls.some(url => url.includes('e_blur:400')));
+});
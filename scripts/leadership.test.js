@@ -0,0 +1,43 @@
+// Leadership section: placeholder seats and avatar initials
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./load-page');
+
+test('shows placeholder seats without initials or personal links', async (t) => {
+    const page = await loadPage();
+    t.after(() => page.close());
+    const { document } = page;
+
+    const cards = document.querySelectorAll('#leadership .leadership-grid > .leader-card');
+    assert.strictEqual(cards.length, 6);
+    cards.forEach(card => {
+        assert.strictEqual(card.querySelector('.leader-initials'), null);
+    });
+    assert.ok(document.getElementById('leadership-archive').classList.contains('hidden'));
+
+    cards[0].querySelector('button').click();
+    const links = Array.from(document.querySelectorAll('#leader-profile .leader-profile__links a'));
+    assert.deepStrictEqual(links.map(link => link.getAttribute('href')), ['mailto:pharmacy.club@college.edu']);
+    assert.deepStrictEqual(page.errors, []);
+});
+
+test('builds initials from names with an empty word', async (t) => {
+    const roster = {
+        roles: { president: { title: { en: 'President', ar: 'الرئيس' } } },
+        terms: [{
+            id: '2025-2026',
+            start: '2025-08-01',
+            officers: [{ id: 'sara', role: 'president', name: { en: 'Sara Al-', ar: 'سارة الحربي' } }]
+        }]
+    };
+    const page = await loadPage({
+        fetch: async (url) => url.pathname === '/data/leadership.json'
+            ? { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(roster)) }
+            : null
+    });
+    t.after(() => page.close());
+
+    const initials = page.document.querySelector('#leadership .leader-initials');
+    assert.strictEqual(initials.getAttribute('data-en'), 'S');
+    assert.deepStrictEqual(page.errors, []);
+});
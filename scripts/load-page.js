@@ -0,0 +1,110 @@
+// Headless page loader for the scripts/*.test.js checks
+//
+// Loads index.html and app.js into jsdom with data files, catalogs and locales read from disk,
+// so the hooks app.js reads at startup (window.pharmacyClubClock, window.pharmacyClubRsvpStorage,
+// window.pharmacyClubAdminStorage) can be set up by `before(window)` and exercised without a browser.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function wait(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A fetch() for the page: files under the site root, or whatever options.fetch answers first
+function createFetch(override) {
+    return async (url, options) => {
+        const target = new URL(url, 'http://localhost/');
+        if (override) {
+            const response = await override(target, options);
+            if (response) return response;
+        }
+        const file = path.join(ROOT, decodeURIComponent(target.pathname));
+        if (!file.startsWith(ROOT) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+            return { ok: false, status: 404, json: async () => ({}), text: async () => '' };
+        }
+        const body = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+    };
+}
+
+async function loadPage(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="app\.js"><\/script>/, '');
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => {
+        // Downloads (link.click() on a blob: URL) are not something jsdom can navigate to
+        if (!/navigation/.test(error.message)) errors.push(error.message);
+    });
+
+    const dom = new JSDOM(html, {
+        url: options.url || 'http://localhost/index.html',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const window = dom.window;
+
+    window.fetch = createFetch(options.fetch);
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.matchMedia = window.matchMedia || (() => ({ matches: false, addEventListener() {}, addListener() {} }));
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = function() {};
+    window.TextEncoder = TextEncoder;
+    Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+
+    // Downloads are captured instead of navigated to
+    const downloads = [];
+    window.URL.createObjectURL = blob => {
+        downloads.push({ blob });
+        return `blob:download-${downloads.length}`;
+    };
+    window.URL.revokeObjectURL = () => {};
+    const click = window.HTMLAnchorElement.prototype.click;
+    window.HTMLAnchorElement.prototype.click = function() {
+        if (this.download && downloads.length > 0) {
+            downloads[downloads.length - 1].filename = this.download;
+            return;
+        }
+        click.call(this);
+    };
+
+    if (options.before) {
+        options.before(window);
+    }
+
+    window.eval(fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8'));
+    // jsdom may already be past DOMContentLoaded; otherwise it fires the event itself
+    if (window.document.readyState !== 'loading') {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    }
+    await wait(100);
+
+    return {
+        window,
+        document: window.document,
+        downloads,
+        errors,
+        close: () => window.close()
+    };
+}
+
+// Text of a captured download (jsdom's Blob has no text())
+function readDownload(window, download) {
+    return new Promise(resolve => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(Buffer.from(reader.result).toString('utf8'));
+        reader.readAsArrayBuffer(download.blob);
+    });
+}
+
+module.exports = { loadPage, readDownload, wait };
@@ -0,0 +1,136 @@
+// Membership application wizard: step gating, the autosaved draft and clearing it after submitting
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+const DRAFT_KEY = 'pharmacy-club-membership-draft';
+const QUEUE_KEY = 'pharmacy-club-submission-queue';
+
+const DETAILS = {
+    name: 'Sara Ahmed',
+    email: 'sara@qu.edu.qa',
+    studentId: '201900123',
+    phone: '5512 3456'
+};
+
+function storeOnDevice(window) {
+    window.document.getElementById('membership-form').dataset.adapter = 'queue';
+}
+
+function getVisibleStep(document) {
+    return Array.from(document.querySelectorAll('#membership-form .form-step')).findIndex(step => !step.classList.contains('hidden'));
+}
+
+function getDraft(window) {
+    return JSON.parse(window.localStorage.getItem(DRAFT_KEY));
+}
+
+function type(window, id, value) {
+    const field = window.document.getElementById(id);
+    field.value = value;
+    field.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+test('only moves on once the current step is valid and saves a draft as the student types', async (t) => {
+    const page = await loadPage({ before: storeOnDevice });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const next = document.querySelector('#membership-form [data-step-action="next"]');
+    assert.strictEqual(getVisibleStep(document), 0);
+    assert.strictEqual(document.querySelector('#membership-form .form-steps__count').textContent, 'Step 1 of 3');
+
+    next.click();
+    assert.strictEqual(getVisibleStep(document), 0);
+    assert.strictEqual(document.getElementById('student-name').getAttribute('aria-invalid'), 'true');
+
+    type(window, 'student-name', DETAILS.name);
+    type(window, 'student-email', DETAILS.email);
+    type(window, 'student-id', DETAILS.studentId);
+    type(window, 'student-phone', '123');
+    next.click();
+    assert.strictEqual(getVisibleStep(document), 0, 'an invalid phone number keeps the student on the first step');
+
+    type(window, 'student-phone', DETAILS.phone);
+    assert.strictEqual(getDraft(window).fields.name, DETAILS.name);
+    assert.strictEqual(document.querySelector('.form-draft-status__text').textContent, 'Draft saved on this device.');
+
+    next.click();
+    assert.strictEqual(getVisibleStep(document), 1);
+    assert.strictEqual(document.querySelector('#membership-form .form-steps__count').textContent, 'Step 2 of 3');
+    assert.strictEqual(getDraft(window).step, 1);
+
+    // The year is required before the review step
+    next.click();
+    assert.strictEqual(getVisibleStep(document), 1);
+    document.getElementById('year-level').value = '2nd';
+    next.click();
+    assert.strictEqual(getVisibleStep(document), 2);
+    assert.ok(!document.querySelector('#membership-form [type="submit"]').classList.contains('hidden'));
+});
+
+test('restores a saved draft on its step and clears it once the application is sent', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            storeOnDevice(window);
+            window.localStorage.setItem(DRAFT_KEY, JSON.stringify({
+                step: 2,
+                fields: Object.assign({ year: '3rd', interests: ['research', 'events'] }, DETAILS),
+                savedAt: '2025-09-01T08:00:00Z'
+            }));
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+    const form = document.getElementById('membership-form');
+
+    assert.strictEqual(getVisibleStep(document), 2);
+    assert.strictEqual(document.getElementById('student-name').value, DETAILS.name);
+    assert.strictEqual(document.getElementById('year-level').value, '3rd');
+    assert.deepStrictEqual(Array.from(form.querySelectorAll('input[name="interests"]:checked'), input => input.value), ['research', 'events']);
+    assert.strictEqual(document.querySelector('.form-draft-status__text').textContent, 'We restored the answers you saved on this device.');
+
+    const review = Array.from(form.querySelectorAll('.form-review dd'), item => item.textContent);
+    assert.ok(review.includes('3rd Year'));
+    assert.ok(review.includes('Research and Events'));
+
+    // Consent is required
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+    assert.strictEqual(window.localStorage.getItem(QUEUE_KEY), null);
+    assert.ok(getDraft(window));
+
+    document.getElementById('membership-consent').checked = true;
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+
+    const queued = JSON.parse(window.localStorage.getItem(QUEUE_KEY));
+    assert.strictEqual(queued.length, 1);
+    assert.deepStrictEqual(queued[0].payload.fields, Object.assign({ year: '3rd', interests: ['research', 'events'], consent: 'yes' }, DETAILS));
+    assert.strictEqual(window.localStorage.getItem(DRAFT_KEY), null);
+    assert.strictEqual(getVisibleStep(document), 0);
+    assert.strictEqual(document.getElementById('student-name').value, '');
+    assert.ok(document.querySelector('.form-draft-status').classList.contains('hidden'));
+});
+
+test('sends a restored draft back to the first step with a problem before submitting', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            storeOnDevice(window);
+            window.localStorage.setItem(DRAFT_KEY, JSON.stringify({
+                step: 2,
+                fields: Object.assign({}, DETAILS, { studentId: '12', year: '1st', consent: 'yes' })
+            }));
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    assert.strictEqual(getVisibleStep(document), 2);
+    document.getElementById('membership-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+
+    assert.strictEqual(getVisibleStep(document), 0);
+    assert.strictEqual(document.getElementById('student-id').getAttribute('aria-invalid'), 'true');
+    assert.strictEqual(window.localStorage.getItem(QUEUE_KEY), null);
+});
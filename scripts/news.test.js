@@ -0,0 +1,82 @@
+// News section: tag filters, load-more paging and the article dialog
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+function getCardIds(document) {
+    return Array.from(document.querySelectorAll('.news-grid .news-card'), card => card.dataset.articleId);
+}
+
+test('pages through the articles three at a time, newest first', async (t) => {
+    const page = await loadPage();
+    t.after(() => page.close());
+    const { document } = page;
+
+    const loadMore = document.getElementById('news-load-more');
+    const count = document.getElementById('news-count');
+    assert.deepStrictEqual(getCardIds(document), ['medication-safety-workshop-registration', 'health-fair-volunteers', 'new-scholarships-2025']);
+    assert.strictEqual(count.textContent, 'Showing 3 of 7 articles');
+    assert.ok(!loadMore.classList.contains('hidden'));
+
+    loadMore.click();
+    assert.strictEqual(getCardIds(document).length, 6);
+    assert.strictEqual(count.textContent, 'Showing 6 of 7 articles');
+    // Focus moves to the first article that was just revealed
+    assert.strictEqual(document.activeElement.closest('.news-card').dataset.articleId, 'guest-speaker-series');
+
+    loadMore.click();
+    assert.strictEqual(getCardIds(document).length, 7);
+    assert.strictEqual(count.textContent, 'Showing 7 of 7 articles');
+    assert.ok(loadMore.classList.contains('hidden'));
+});
+
+test('filters by tag and starts paging again from the first page', async (t) => {
+    const page = await loadPage();
+    t.after(() => page.close());
+    const { document } = page;
+
+    const chips = Array.from(document.querySelectorAll('.news-filters .news-filter'));
+    assert.deepStrictEqual(chips.map(chip => chip.dataset.tag), ['', 'announcement', 'event', 'reminder', 'scholarship', 'community']);
+
+    document.getElementById('news-load-more').click();
+    const announcement = chips.find(chip => chip.dataset.tag === 'announcement');
+    announcement.click();
+    assert.deepStrictEqual(getCardIds(document), ['health-fair-volunteers', 'new-scholarships-2025', 'welcome-back-2025']);
+    assert.strictEqual(document.getElementById('news-count').textContent, 'Showing 3 of 3 articles');
+    assert.ok(document.getElementById('news-load-more').classList.contains('hidden'));
+    assert.strictEqual(announcement.getAttribute('aria-pressed'), 'true');
+    assert.strictEqual(chips[0].getAttribute('aria-pressed'), 'false');
+
+    chips.find(chip => chip.dataset.tag === 'event').click();
+    assert.deepStrictEqual(getCardIds(document), ['medication-safety-workshop-registration', 'guest-speaker-series']);
+
+    chips[0].click();
+    assert.strictEqual(document.getElementById('news-count').textContent, 'Showing 3 of 7 articles');
+});
+
+test('opens an article from its card and names it in the URL', async (t) => {
+    const page = await loadPage();
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const card = document.querySelector('.news-card[data-article-id="health-fair-volunteers"]');
+    card.querySelector('.news-read-more').click();
+    const dialog = document.getElementById('news-article');
+    assert.ok(!dialog.classList.contains('hidden'));
+    assert.strictEqual(document.getElementById('news-article-title').textContent, card.querySelector('h3').textContent);
+    assert.strictEqual(new URL(window.location.href).searchParams.get('article'), 'health-fair-volunteers');
+});
+
+test('a deep link opens its article in the current language', async (t) => {
+    const page = await loadPage({ url: 'http://localhost/index.html?article=welcome-back-2025' });
+    t.after(() => page.close());
+    const { document } = page;
+
+    const dialog = document.getElementById('news-article');
+    assert.ok(!dialog.classList.contains('hidden'));
+    assert.strictEqual(document.getElementById('news-article-title').textContent, 'Welcome Back, Pharmacy Students!');
+
+    document.querySelector('#language-menu [data-lang="ar"]').click();
+    await wait(300);
+    assert.strictEqual(document.getElementById('news-article-title').textContent, 'أهلاً بعودتكم يا طلاب الصيدلة!');
+});
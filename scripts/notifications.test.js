@@ -0,0 +1,147 @@
+// Notification center: stacking by priority, action buttons, hover pause and the history panel
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+const DRAFT_KEY = 'pharmacy-club-membership-draft';
+
+const MESSAGES = {
+    online: 'You are back online.',
+    offline: 'You are offline. The site keeps working with the content saved on this device.',
+    discarded: 'Your saved application was discarded.',
+    wrongPasscode: 'That passcode is not correct.',
+    unavailable: 'The submissions service could not be reached. Please try again.'
+};
+
+// A saved membership draft, so "Start over" raises an info toast with an Undo action
+function withDraft(window) {
+    window.localStorage.setItem(DRAFT_KEY, JSON.stringify({
+        step: 0,
+        fields: { name: 'Sara Ahmed', email: 'sara@qu.edu.qa' }
+    }));
+}
+
+// Toasts on screen, leaving ones excluded, in stack order
+function getToasts(document) {
+    return Array.from(document.querySelectorAll('#notification-stack .notification:not(.notification--leaving)'),
+        toast => toast.querySelector('.notification__message').textContent);
+}
+
+function setOnline(window, isOnline) {
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => isOnline });
+    window.dispatchEvent(new window.Event(isOnline ? 'online' : 'offline'));
+}
+
+function unlockAdmin(window, document) {
+    document.querySelector('[data-admin-open]').click();
+    document.getElementById('admin-passcode').value = 'guess';
+    document.getElementById('admin-gate').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    return wait(20);
+}
+
+test('shows three toasts at most and lets more urgent ones push out the least urgent', async (t) => {
+    const failures = [{ status: 401 }, { status: 500 }];
+    const page = await loadPage({
+        before(window) {
+            withDraft(window);
+            window.pharmacyClubAdminStorage = {
+                shared: true,
+                list: () => Promise.reject(Object.assign(new Error('rejected'), failures.shift())),
+                update: () => Promise.resolve()
+            };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+    const messageFor = key => MESSAGES[key];
+
+    setOnline(window, true);
+    setOnline(window, false);
+    document.querySelector('.form-draft-status__discard').click();
+    assert.deepStrictEqual(getToasts(document), ['online', 'offline', 'discarded'].map(messageFor));
+
+    // An error replaces the info toast, the next one the success toast
+    await unlockAdmin(window, document);
+    assert.deepStrictEqual(getToasts(document), ['online', 'offline', 'wrongPasscode'].map(messageFor));
+    await unlockAdmin(window, document);
+    assert.deepStrictEqual(getToasts(document), ['offline', 'wrongPasscode', 'unavailable'].map(messageFor));
+
+    // A less urgent toast waits until there is room
+    setOnline(window, true);
+    assert.deepStrictEqual(getToasts(document), ['offline', 'wrongPasscode', 'unavailable'].map(messageFor));
+    document.querySelector('#notification-stack .notification--error .notification__close').click();
+    assert.deepStrictEqual(getToasts(document), ['offline', 'unavailable', 'online'].map(messageFor));
+});
+
+test('runs an action button\'s callback and closes its toast', async (t) => {
+    const page = await loadPage({ before: withDraft });
+    t.after(() => page.close());
+    const { document } = page;
+
+    assert.strictEqual(document.getElementById('student-name').value, 'Sara Ahmed');
+    document.querySelector('.form-draft-status__discard').click();
+    assert.strictEqual(document.getElementById('student-name').value, '');
+
+    const toast = document.querySelector('#notification-stack .notification--info');
+    const undo = toast.querySelector('.notification__action');
+    assert.strictEqual(undo.textContent, 'Undo');
+    undo.click();
+    assert.strictEqual(document.getElementById('student-name').value, 'Sara Ahmed');
+    assert.ok(toast.classList.contains('notification--leaving'));
+    assert.deepStrictEqual(getToasts(document), []);
+});
+
+test('keeps a hovered toast until the pointer leaves', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            // Toast timers run a hundred times faster
+            const setTimeout = window.setTimeout.bind(window);
+            window.setTimeout = (callback, delay, ...args) => setTimeout(callback, delay >= 1000 ? delay / 100 : delay, ...args);
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    setOnline(window, true);
+    const toast = document.querySelector('#notification-stack .notification');
+    toast.dispatchEvent(new window.Event('mouseenter'));
+    await wait(120);
+    assert.deepStrictEqual(getToasts(document), [MESSAGES.online]);
+
+    toast.dispatchEvent(new window.Event('mouseleave'));
+    await wait(120);
+    assert.deepStrictEqual(getToasts(document), []);
+});
+
+test('keeps every notification in the history panel, newest first', async (t) => {
+    const page = await loadPage({ before: withDraft });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const button = document.getElementById('notifications-btn');
+    const panel = document.getElementById('notification-history');
+    const count = button.querySelector('.notification-history-btn__count');
+    assert.ok(!panel.querySelector('.notification-history__empty').classList.contains('hidden'));
+
+    setOnline(window, false);
+    document.querySelector('.form-draft-status__discard').click();
+    assert.strictEqual(count.textContent, '2');
+
+    button.click();
+    assert.ok(!panel.classList.contains('hidden'));
+    assert.strictEqual(button.getAttribute('aria-expanded'), 'true');
+    assert.ok(count.classList.contains('hidden'));
+    const items = Array.from(panel.querySelectorAll('.notification-history__item'));
+    assert.deepStrictEqual(items.map(item => item.querySelector('.notification-history__message').textContent),
+        [MESSAGES.discarded, MESSAGES.offline]);
+    assert.ok(items[0].classList.contains('notification-history__item--info'));
+    assert.ok(items[1].classList.contains('notification-history__item--warning'));
+
+    panel.querySelector('.notification-history__clear').click();
+    assert.strictEqual(panel.querySelectorAll('.notification-history__item').length, 0);
+    assert.ok(!panel.querySelector('.notification-history__empty').classList.contains('hidden'));
+
+    // A click outside closes the panel
+    document.body.click();
+    assert.ok(panel.classList.contains('hidden'));
+});
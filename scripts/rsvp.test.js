@@ -0,0 +1,152 @@
+// Event RSVP: the service contract, waitlist promotion and the local demo adapter
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, wait } = require('./load-page');
+
+const EVENT_ID = 'community-health-fair-2025';
+const OWN_KEY = 'pharmacy-club-my-rsvps';
+const events = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'events.json'), 'utf8'));
+
+function beforeTheFair(window) {
+    window.pharmacyClubClock = { now: () => new Date('2025-10-01T10:00:00+03:00') };
+}
+
+function getPanel(document) {
+    return document.querySelector(`.event-card[data-event-id="${EVENT_ID}"] .event-rsvp`);
+}
+
+function getToasts(document) {
+    return Array.from(document.querySelectorAll('.notification__message'), toast => toast.textContent);
+}
+
+test('sends actions to the RSVP service and keeps only the visitor\'s own RSVP', async (t) => {
+    const requests = [];
+    const page = await loadPage({
+        before(window) {
+            beforeTheFair(window);
+            const grid = window.document.querySelector('.events-grid');
+            grid.dataset.rsvpAdapter = 'http';
+            grid.dataset.rsvpEndpoint = 'https://rsvp.example.org/api';
+        },
+        fetch: async (url, options) => {
+            if (url.hostname !== 'rsvp.example.org') return null;
+            const action = url.pathname.split('/').pop();
+            const body = JSON.parse(options.body);
+            requests.push({ action, body });
+
+            const seats = { capacity: 200, confirmed: 199, waitlisted: 0 };
+            let answer = { seats, attendee: null };
+            if (action === 'reserve') {
+                answer = {
+                    seats: Object.assign({}, seats, { confirmed: 200 }),
+                    attendee: { id: 'a1', status: 'confirmed', code: 'K7Q-M3P', position: 0 }
+                };
+            }
+            return { ok: true, status: 200, json: async () => answer };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    assert.strictEqual(getPanel(document).querySelector('.event-rsvp__seats').textContent, '1 of 200 seats left');
+
+    getPanel(document).querySelector('.event-rsvp__button').click();
+    document.getElementById('rsvp-name').value = 'Sara Ahmed';
+    document.getElementById('rsvp-email').value = ' Sara@QU.edu.qa ';
+    document.getElementById('rsvp-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+
+    const reserve = requests.find(request => request.action === 'reserve');
+    assert.deepStrictEqual(reserve.body, { event: EVENT_ID, name: 'Sara Ahmed', email: 'sara@qu.edu.qa', language: 'en' });
+    assert.strictEqual(document.querySelector('.rsvp-confirmation__code').textContent, 'K7Q-M3P');
+    assert.strictEqual(getPanel(document).querySelector('.event-rsvp__status').textContent, '✅ You\'re going');
+    assert.ok(getPanel(document).classList.contains('event-rsvp--full'));
+
+    getPanel(document).querySelector('.event-rsvp .btn--outline').click();
+    await wait(20);
+    const cancel = requests.find(request => request.action === 'cancel');
+    assert.deepStrictEqual(cancel.body, { event: EVENT_ID, attendee: { id: 'a1', code: 'K7Q-M3P' } });
+    assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(OWN_KEY)), {});
+});
+
+test('tells a waitlisted visitor when the service has given them a seat', async (t) => {
+    const page = await loadPage({
+        before(window) {
+            beforeTheFair(window);
+            window.localStorage.setItem(OWN_KEY, JSON.stringify({
+                [EVENT_ID]: { id: 'w1', code: 'ABC-DEF', status: 'waitlisted' }
+            }));
+            window.pharmacyClubRsvpStorage = {
+                shared: true,
+                status: (event, own) => Promise.resolve({
+                    seats: { capacity: 200, confirmed: 200, waitlisted: 3 },
+                    attendee: own && own.code === 'ABC-DEF' ? { id: 'w1', status: 'confirmed', code: 'ABC-DEF', position: 0 } : null
+                })
+            };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    assert.ok(getToasts(document).includes('A seat opened up and you\'re off the waitlist! Your check-in code is ABC-DEF.'));
+    assert.strictEqual(JSON.parse(window.localStorage.getItem(OWN_KEY))[EVENT_ID].status, 'confirmed');
+    assert.strictEqual(getPanel(document).querySelector('.event-rsvp__seats').textContent, 'Fully booked · 3 on the waitlist');
+});
+
+test('the local demo adapter shows seats and the waitlist with a demo notice', async (t) => {
+    const data = JSON.parse(JSON.stringify(events));
+    data.events.find(event => event.id === EVENT_ID).capacity = 1;
+    const attendee = (id, code, status, createdAt) => ({
+        id, eventId: EVENT_ID, name: id, email: `${id}@qu.edu.qa`, language: 'en',
+        status, code, createdAt, updatedAt: createdAt, checkedInAt: null
+    });
+
+    const page = await loadPage({
+        before(window) {
+            beforeTheFair(window);
+            window.localStorage.setItem('pharmacy-club-rsvps', JSON.stringify({
+                [EVENT_ID]: [
+                    attendee('first', 'AAA-AAA', 'confirmed', '2025-09-01T10:00:00Z'),
+                    attendee('second', 'BBB-BBB', 'waitlisted', '2025-09-02T10:00:00Z')
+                ]
+            }));
+            window.localStorage.setItem(OWN_KEY, JSON.stringify({
+                [EVENT_ID]: { id: 'first', code: 'AAA-AAA', status: 'confirmed' }
+            }));
+        },
+        fetch: async (url) => url.pathname === '/data/events.json'
+            ? { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(data)) }
+            : null
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const panel = getPanel(document);
+    assert.strictEqual(panel.querySelector('.event-rsvp__seats').textContent, 'Fully booked · 1 on the waitlist');
+    assert.strictEqual(panel.querySelector('.event-rsvp__demo').textContent,
+        'Demo: RSVPs are only saved in this browser, so seats and the waitlist only count RSVPs made here.');
+    assert.ok(panel.classList.contains('event-rsvp--full'));
+
+    // Cancelling hands the seat to the waitlist, which leaves the event full
+    panel.querySelector('.btn--outline').click();
+    await wait(20);
+    const stored = JSON.parse(window.localStorage.getItem('pharmacy-club-rsvps'))[EVENT_ID];
+    assert.deepStrictEqual(stored.map(item => item.status), ['cancelled', 'confirmed']);
+    assert.strictEqual(getPanel(document).querySelector('.event-rsvp__seats').textContent, 'Fully booked · 0 on the waitlist');
+    assert.strictEqual(getPanel(document).querySelector('.event-rsvp__button').textContent, '⏳ Join waitlist');
+
+    getPanel(document).querySelector('.event-rsvp__button').click();
+    document.getElementById('rsvp-name').value = 'Sara Ahmed';
+    document.getElementById('rsvp-email').value = 'sara@qu.edu.qa';
+    document.getElementById('rsvp-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await wait(20);
+    assert.strictEqual(getPanel(document).querySelector('.event-rsvp__status').textContent, '⏳ You\'re number 1 on the waitlist');
+
+    // The new RSVP is stamped by the injected clock, id included
+    const added = JSON.parse(window.localStorage.getItem('pharmacy-club-rsvps'))[EVENT_ID][2];
+    const joinedAt = new Date('2025-10-01T10:00:00+03:00');
+    assert.strictEqual(added.createdAt, joinedAt.toISOString());
+    assert.strictEqual(added.id.split('-')[0], joinedAt.getTime().toString(36));
+});
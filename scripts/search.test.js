@@ -0,0 +1,30 @@
+// Site search: results chosen after their section has re-rendered
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+test('opens the re-rendered card when an event moves to the archive after searching', async (t) => {
+    let now = '2025-10-15T11:00:00+03:00';
+    const page = await loadPage({
+        before(window) {
+            window.pharmacyClubClock = { now: () => new Date(now) };
+        }
+    });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const input = document.getElementById('site-search-input');
+    input.focus();
+    input.value = 'health fair';
+    input.dispatchEvent(new window.Event('input'));
+    assert.ok(document.querySelectorAll('.site-search__result').length > 0);
+
+    now = '2025-10-15T15:00:00+03:00';
+    await wait(1100);
+
+    input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+    const target = document.activeElement;
+    assert.strictEqual(target.dataset.eventId, 'community-health-fair-2025');
+    assert.ok(target.isConnected);
+    assert.ok(target.closest('.events-grid--past'));
+});
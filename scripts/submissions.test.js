@@ -0,0 +1,66 @@
+// Offline submission queue: overlapping flushes and rejected entries
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+const QUEUE_KEY = 'pharmacy-club-submission-queue';
+
+function queuedEntry(id) {
+    return {
+        id,
+        formId: 'contact-form',
+        endpoint: 'https://forms.example.org/contact',
+        queuedAt: '2025-10-01T10:00:00Z',
+        attempts: 0,
+        payload: { form: 'contact-form', fields: { name: 'Ali', email: 'ali@qu.edu.qa', message: 'Hello there' } }
+    };
+}
+
+test('posts each queued entry once when flushes overlap', async (t) => {
+    const posts = [];
+    const page = await loadPage({
+        before(window) {
+            window.localStorage.setItem(QUEUE_KEY, JSON.stringify([queuedEntry('a'), queuedEntry('b')]));
+            // Coming back online while the startup flush is still waiting on the server
+            window.addEventListener('DOMContentLoaded', () => {
+                window.dispatchEvent(new window.Event('online'));
+            });
+        },
+        fetch: async (url, options) => {
+            if (url.hostname !== 'forms.example.org') return null;
+            posts.push(JSON.parse(options.body).fields.name);
+            await wait(20);
+            return { ok: true, status: 200 };
+        }
+    });
+    t.after(() => page.close());
+    await wait(150);
+
+    assert.strictEqual(posts.length, 2);
+    assert.deepStrictEqual(JSON.parse(page.window.localStorage.getItem(QUEUE_KEY)), []);
+});
+
+test('keeps an entry the server rejects, marked and no longer sent', async (t) => {
+    let posts = 0;
+    const page = await loadPage({
+        before(window) {
+            window.localStorage.setItem(QUEUE_KEY, JSON.stringify([queuedEntry('a')]));
+        },
+        fetch: async (url) => {
+            if (url.hostname !== 'forms.example.org') return null;
+            posts++;
+            return { ok: false, status: 422 };
+        }
+    });
+    t.after(() => page.close());
+    await wait(50);
+
+    const [entry] = JSON.parse(page.window.localStorage.getItem(QUEUE_KEY));
+    assert.strictEqual(entry.id, 'a');
+    assert.strictEqual(entry.rejectedStatus, 422);
+    assert.ok(entry.rejectedAt);
+
+    page.window.dispatchEvent(new page.window.Event('online'));
+    await wait(50);
+    assert.strictEqual(posts, 1);
+});
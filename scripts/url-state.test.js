@@ -0,0 +1,72 @@
+// Shareable deep links: malformed hashes, photo ids and closing dialogs through history
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, wait } = require('./load-page');
+
+test('loads with a malformed hash', async (t) => {
+    const page = await loadPage({ url: 'http://localhost/index.html#%E0' });
+    t.after(() => page.close());
+
+    assert.deepStrictEqual(page.errors, []);
+});
+
+test('opens the photo named in ?photo= and pages by id', async (t) => {
+    const page = await loadPage({ url: 'http://localhost/index.html?photo=club-logo-design' });
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const lightbox = document.getElementById('lightbox');
+    assert.ok(!lightbox.classList.contains('hidden'));
+    const item = document.querySelector('.gallery-item[data-photo-id="club-logo-design"]');
+    assert.strictEqual(document.querySelector('.lightbox-img').getAttribute('src'), item.dataset.src);
+
+    document.querySelector('.lightbox-next').click();
+    const next = item.nextElementSibling.dataset.photoId;
+    assert.strictEqual(new URL(window.location.href).searchParams.get('photo'), next);
+
+    // Opened from a link, so closing stays on the same entry
+    document.querySelector('.lightbox-close').click();
+    assert.ok(lightbox.classList.contains('hidden'));
+    assert.strictEqual(new URL(window.location.href).searchParams.get('photo'), null);
+});
+
+test('closing a photo opened from the page goes back over its entry', async (t) => {
+    const page = await loadPage();
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    const lengthBefore = window.history.length;
+    document.querySelector('.gallery-item[data-photo-id="pharmacy-branding"]').click();
+    assert.strictEqual(window.history.length, lengthBefore + 1);
+    assert.strictEqual(new URL(window.location.href).searchParams.get('photo'), 'pharmacy-branding');
+
+    document.querySelector('.lightbox-close').click();
+    await wait(50);
+    assert.ok(document.getElementById('lightbox').classList.contains('hidden'));
+    assert.strictEqual(new URL(window.location.href).searchParams.get('photo'), null);
+
+    // Forward reopens it
+    window.history.forward();
+    await wait(50);
+    assert.ok(!document.getElementById('lightbox').classList.contains('hidden'));
+});
+
+test('closing a news article opened from the page goes back over its entry', async (t) => {
+    const page = await loadPage();
+    t.after(() => page.close());
+    const { window, document } = page;
+
+    document.querySelector('.news-read-more').click();
+    const dialog = document.getElementById('news-article');
+    assert.ok(!dialog.classList.contains('hidden'));
+    assert.ok(new URL(window.location.href).searchParams.get('article'));
+
+    dialog.querySelector('.modal__close').click();
+    await wait(50);
+    assert.ok(dialog.classList.contains('hidden'));
+    assert.strictEqual(new URL(window.location.href).searchParams.get('article'), null);
+
+    window.history.forward();
+    await wait(50);
+    assert.ok(!dialog.classList.contains('hidden'));
+});
@@ -0,0 +1,127 @@
+// Service worker for the Bilingual Pharmacy Club website
+//
+// Keeps the site usable on campus Wi-Fi that drops out:
+//   - the app shell (page, script, styles, manifests, translations and data files) is cached on
+//     install and served network-first, so edits still show up as soon as there is a connection
+//   - images and font files are served cache-first; cross-origin ones are stored as opaque responses
+//   - the Google Fonts stylesheet is served stale-while-revalidate: the cached copy answers at once
+//     and a fresh one replaces it in the background, since it changes as fonts are updated
+//   - app.js posts the gallery thumbnail URLs after registration so the gallery works offline
+//     even for photos that were never scrolled into view
+//
+// Bump CACHE_VERSION whenever SHELL_FILES or a caching strategy changes.
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `pharmacy-club-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `pharmacy-club-assets-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'style.css',
+    'manifest.webmanifest',
+    'manifest.ar.webmanifest',
+    'locales/locales.json',
+    'locales/en.json',
+    'locales/ar.json',
+    'data/events.json',
+    'data/news.json',
+    'data/leadership.json',
+    'data/gallery.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from previous versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('pharmacy-club-') && key !== SHELL_CACHE && key !== ASSET_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function networkFirst(request) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => {
+            // Deep links such as ?lang=ar&photo=club-logo-design all open the same cached page
+            const isPage = request.mode === 'navigate';
+            return caches.match(request, { ignoreSearch: isPage })
+                .then(cached => cached || (isPage ? caches.match('index.html') : Response.error()));
+        });
+}
+
+function cacheFirst(request) {
+    return caches.open(ASSET_CACHE).then(cache => cache.match(request).then(cached => {
+        if (cached) return cached;
+        return fetch(request).then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+    }));
+}
+
+// Answers from the cache when it can while the network refreshes the cached copy for next time
+function staleWhileRevalidate(event) {
+    const request = event.request;
+    return caches.open(ASSET_CACHE).then(cache => cache.match(request).then(cached => {
+        const refresh = fetch(request).then(response => {
+            if (response.ok || response.type === 'opaque') {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+        if (!cached) return refresh;
+        // Offline: keep serving the cached stylesheet
+        event.waitUntil(refresh.catch(() => null));
+        return cached;
+    }));
+}
+
+// The font files (fonts.gstatic.com) are immutable; the stylesheet that lists them is not
+function isFontStylesheet(url) {
+    return url.origin === 'https://fonts.googleapis.com';
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (isFontStylesheet(url)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (request.destination === 'image' || request.destination === 'font') {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// { type: 'cache-images', urls: [...] } from app.js
+self.addEventListener('message', event => {
+    const data = event.data || {};
+    if (data.type !== 'cache-images' || !Array.isArray(data.urls)) return;
+
+    event.waitUntil(Promise.all(data.urls.map(url =>
+        cacheFirst(new Request(url, { mode: 'no-cors' })).catch(() => null)
+    )));
+});